@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+import fs from "node:fs/promises";
+import { readdirSync, statSync } from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  ConversionError,
+  InvalidDocumentError,
+  InvalidInputError,
+  convertDocument,
+  serializeSpec,
+} from "../src/convert.js";
+import { DEFAULT_PROFILE, SANITIZE_PROFILES, isSanitizeProfile } from "../src/profiles.js";
+
+const SPEC_EXTENSIONS = new Set([".json", ".yaml", ".yml"]);
+const SEVERITY_ORDER = ["info", "warning", "error"];
+const OPERATION_ID_MODES = ["generate", "fix", "keep"];
+const GLOB_CHARS = /[*?[\]{}]/;
+const USAGE = `Usage: openapi31-to-20 [options] <file|dir|glob>...
+
+Converts OpenAPI 3.x documents to Swagger 2.0 (or the version picked with --target).
+
+Options:
+  --format json|yaml      Output format (default: json)
+  --pretty                Pretty-print JSON output
+  --no-strict             Keep vendor extensions (strict=0)
+  --profile <name>        Strict-mode preset: aws-apigateway, azure-autorest, google-endpoints, power-platform
+  --no-deref              Keep $ref references (deref=0)
+  --deref-cycles          Inline $refs except recursive types (deref=cycles)
+  --prune                 With --no-deref, drop definitions no path reaches
+  --hoist                 Move inline object/enum schemas into named definitions
+  --operation-ids <mode>  generate, fix or keep (default: keep)
+  --diagnostics           Add x-conversion-info to the output
+  --server <value>        Server used for host/basePath, by index or URL substring
+  --server-var name=value Override a server variable (repeatable)
+  --target 2.0|3.0|3.1    Output version (default: 2.0)
+  --webhooks <mode>       paths, extension or drop (default: extension)
+  --webhook-prefix <path> Path prefix for --webhooks paths
+  --timeout <seconds>     Timeout for remote $ref fetches (default: 15)
+  --validate              Validate the output and exit with 1 when invalid
+  --lenient               Convert input that fails OpenAPI 3.x validation anyway
+  --include-tags <list>   Only convert operations with one of these tags (comma-separated, repeatable)
+  --exclude-tags <list>   Skip operations with one of these tags
+  --paths <globs>         Only convert paths matching these globs (* within a segment, ** across)
+  --methods <list>        Only convert these HTTP methods
+  --include-operation-ids <list>
+                          Only convert these operationIds
+  --exclude-operation-ids <list>
+                          Skip these operationIds
+  --exclude-deprecated    Skip deprecated operations
+  --out <path>            Output file, or directory when converting several files
+  --fail-on <severity>    Exit with 1 when a diagnostic of this severity or worse occurs
+  -h, --help              Show this help
+`;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+  if (error instanceof UsageError) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+  } else {
+    process.stderr.write(`${error && error.stack ? error.stack : error}\n`);
+    process.exitCode = 1;
+  }
+}
+
+async function main(argv) {
+  const { values, positionals } = parseOptions(argv);
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (!positionals.length) {
+    throw new UsageError("No input files given.");
+  }
+  if (values.format && values.format !== "json" && values.format !== "yaml") {
+    throw new UsageError("--format must be json or yaml.");
+  }
+  if (values["operation-ids"] && OPERATION_ID_MODES.indexOf(values["operation-ids"]) < 0) {
+    throw new UsageError("--operation-ids must be generate, fix or keep.");
+  }
+  if (values.profile && !isSanitizeProfile(values.profile)) {
+    throw new UsageError(`--profile must be one of ${Object.keys(SANITIZE_PROFILES).join(", ")}.`);
+  }
+  if (values.profile && values["no-strict"] && values.profile.trim().toLowerCase() !== DEFAULT_PROFILE) {
+    throw new UsageError("--profile only applies in strict mode; drop --no-strict or --profile.");
+  }
+  if (values["fail-on"] && SEVERITY_ORDER.indexOf(values["fail-on"]) < 0) {
+    throw new UsageError("--fail-on must be error, warning or info.");
+  }
+
+  const inputs = collectInputs(positionals);
+  if (!inputs.length) {
+    throw new UsageError("No OpenAPI files matched the given inputs.");
+  }
+  const multiple = inputs.length > 1 || inputs.some((input) => input.discovered);
+  if (multiple && !values.out) {
+    throw new UsageError("--out <dir> is required when converting several files.");
+  }
+
+  const format = values.format || "json";
+  const options = {
+    target: values.target,
+    strict: !values["no-strict"],
+    profile: values.profile,
+    deref: values["deref-cycles"] ? "cycles" : !values["no-deref"],
+    prune: values.prune,
+    hoist: values.hoist,
+    operationIds: values["operation-ids"],
+    server: values.server,
+    serverVariables: parseServerVariables(values["server-var"] || []),
+    webhooks: values.webhooks,
+    webhookPrefix: values["webhook-prefix"],
+    timeoutMs: values.timeout ? Math.round(Number(values.timeout) * 1000) : undefined,
+    validate: values.validate,
+    lenient: values.lenient,
+    includeTags: values["include-tags"],
+    excludeTags: values["exclude-tags"],
+    paths: values.paths,
+    methods: values.methods,
+    includeOperationIds: values["include-operation-ids"],
+    excludeOperationIds: values["exclude-operation-ids"],
+    excludeDeprecated: values["exclude-deprecated"],
+    allowFileRefs: true,
+  };
+
+  let failed = false;
+  for (const input of inputs) {
+    let result;
+    try {
+      const text = await fs.readFile(input.file, "utf8");
+      result = await convertDocument(text, { ...options, baseUrl: input.file });
+    } catch (error) {
+      if (input.discovered && error instanceof InvalidDocumentError) {
+        process.stderr.write(`${input.file}: skipped (not an OpenAPI document)\n`);
+        continue;
+      }
+      if (error instanceof InvalidInputError) {
+        process.stderr.write(`${input.file}: ${error.message}\n`);
+        error.errors.forEach((entry) => {
+          process.stderr.write(`${formatLocation(input.file, entry)} ${entry.pointer} ${entry.message}\n`);
+        });
+        failed = true;
+        continue;
+      }
+      const detail = error instanceof ConversionError ? `conversion failed: ${error.message}` : error.message;
+      process.stderr.write(`${input.file}: ${detail}\n`);
+      failed = true;
+      continue;
+    }
+
+    const body = serializeSpec(result, {
+      format,
+      pretty: values.pretty,
+      diagnostics: values.diagnostics,
+      source: input.file,
+    });
+    if (values.out) {
+      const target = multiple ? path.join(values.out, outputName(input.relative, format)) : values.out;
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, `${body}\n`);
+    } else {
+      process.stdout.write(`${body}\n`);
+    }
+
+    const summary = result.diagnostics.summary();
+    if (values.out || summary.total) {
+      process.stderr.write(`${input.file}: ${formatSummary(summary)}\n`);
+    }
+    if (values["fail-on"] && exceedsSeverity(summary, values["fail-on"])) {
+      failed = true;
+    }
+    if (result.validation && !result.validation.valid) {
+      result.validation.errors.forEach((error) => {
+        process.stderr.write(`${input.file}: ${error.pointer} ${error.message}\n`);
+      });
+      failed = true;
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+function parseOptions(argv) {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: "string" },
+        pretty: { type: "boolean" },
+        "no-strict": { type: "boolean" },
+        profile: { type: "string" },
+        "no-deref": { type: "boolean" },
+        "deref-cycles": { type: "boolean" },
+        prune: { type: "boolean" },
+        hoist: { type: "boolean" },
+        "operation-ids": { type: "string" },
+        diagnostics: { type: "boolean" },
+        server: { type: "string" },
+        "server-var": { type: "string", multiple: true },
+        target: { type: "string" },
+        webhooks: { type: "string" },
+        "webhook-prefix": { type: "string" },
+        timeout: { type: "string" },
+        validate: { type: "boolean" },
+        lenient: { type: "boolean" },
+        "include-tags": { type: "string", multiple: true },
+        "exclude-tags": { type: "string", multiple: true },
+        paths: { type: "string", multiple: true },
+        methods: { type: "string", multiple: true },
+        "include-operation-ids": { type: "string", multiple: true },
+        "exclude-operation-ids": { type: "string", multiple: true },
+        "exclude-deprecated": { type: "boolean" },
+        out: { type: "string", short: "o" },
+        "fail-on": { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function parseServerVariables(entries) {
+  const variables = {};
+  for (const entry of entries) {
+    const index = entry.indexOf("=");
+    if (index <= 0) {
+      throw new UsageError(`--server-var must look like name=value, got ${entry}.`);
+    }
+    variables[entry.slice(0, index)] = entry.slice(index + 1);
+  }
+  return variables;
+}
+
+function collectInputs(patterns) {
+  const inputs = [];
+  const seen = new Set();
+  const add = (file, relative, discovered) => {
+    const resolved = path.resolve(file);
+    if (seen.has(resolved)) return;
+    seen.add(resolved);
+    inputs.push({ file: resolved, relative, discovered });
+  };
+
+  for (const pattern of patterns) {
+    if (GLOB_CHARS.test(pattern)) {
+      const { base, regex } = compileGlob(pattern);
+      listFiles(base)
+        .filter((relative) => regex.test(toPosix(path.join(base, relative))))
+        .forEach((relative) => add(path.join(base, relative), relative, true));
+      continue;
+    }
+    let stats;
+    try {
+      stats = statSync(pattern);
+    } catch (error) {
+      throw new UsageError(`Input not found: ${pattern}`);
+    }
+    if (stats.isDirectory()) {
+      listFiles(pattern)
+        .filter((relative) => SPEC_EXTENSIONS.has(path.extname(relative).toLowerCase()))
+        .forEach((relative) => add(path.join(pattern, relative), relative, true));
+    } else {
+      add(pattern, path.basename(pattern), false);
+    }
+  }
+  return inputs;
+}
+
+function listFiles(dir) {
+  let entries;
+  try {
+    entries = readdirSync(dir, { recursive: true });
+  } catch (error) {
+    return [];
+  }
+  return entries
+    .map((entry) => String(entry))
+    .filter((relative) => !relative.split(path.sep).includes("node_modules"))
+    .filter((relative) => statSync(path.join(dir, relative)).isFile())
+    .sort();
+}
+
+function compileGlob(pattern) {
+  const normalized = toPosix(pattern).replace(/^(\.\/)+/, "");
+  const parts = normalized.split("/");
+  const firstGlob = parts.findIndex((part) => GLOB_CHARS.test(part));
+  const base = parts.slice(0, firstGlob).join("/") || ".";
+  let source = "";
+  for (let i = 0; i < normalized.length; i += 1) {
+    const char = normalized[i];
+    if (char === "*" && normalized[i + 1] === "*") {
+      source += normalized[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += normalized[i + 2] === "/" ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      const end = normalized.indexOf("}", i);
+      if (end < 0) {
+        source += "\\{";
+        continue;
+      }
+      source += `(?:${normalized.slice(i + 1, end).split(",").map(escapeRegExp).join("|")})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return { base, regex: new RegExp(`^${source}$`) };
+}
+
+function outputName(relative, format) {
+  const extension = path.extname(relative);
+  const stem = extension ? relative.slice(0, -extension.length) : relative;
+  return `${stem}.${format === "yaml" ? "yaml" : "json"}`;
+}
+
+function exceedsSeverity(summary, threshold) {
+  const minimum = SEVERITY_ORDER.indexOf(threshold);
+  return Object.keys(summary.bySeverity).some(
+    (severity) => SEVERITY_ORDER.indexOf(severity) >= minimum && summary.bySeverity[severity] > 0
+  );
+}
+
+function formatSummary(summary) {
+  if (!summary.total) return "ok";
+  const parts = SEVERITY_ORDER.slice()
+    .reverse()
+    .filter((severity) => summary.bySeverity[severity])
+    .map((severity) => `${summary.bySeverity[severity]} ${severity}`);
+  return `${summary.total} diagnostics (${parts.join(", ")})`;
+}
+
+function formatLocation(file, entry) {
+  return entry.line ? `${file}:${entry.line}:${entry.column}:` : `${file}:`;
+}
+
+function toPosix(value) {
+  return value.split(path.sep).join("/");
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
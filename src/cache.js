@@ -0,0 +1,62 @@
+const CACHE_ORIGIN = "https://openapi-31-to-20.cache";
+const MEMORY_CACHE_LIMIT = 100;
+
+const memoryEntries = new Map();
+
+export function createResultCache(ttlSeconds) {
+  const store = typeof caches !== "undefined" && caches && caches.default ? caches.default : null;
+  return store ? createWorkersCache(store, ttlSeconds) : createMemoryCache(ttlSeconds);
+}
+
+export function buildCacheKey(requestUrl, ignoredParams) {
+  const params = Array.from(requestUrl.searchParams.entries())
+    .filter(([name]) => ignoredParams.indexOf(name) < 0)
+    .sort(([a, aValue], [b, bValue]) => (a === b ? compare(aValue, bValue) : compare(a, b)));
+  const key = new URL(`${CACHE_ORIGIN}${requestUrl.pathname}`);
+  params.forEach(([name, value]) => key.searchParams.append(name, value));
+  return key.toString();
+}
+
+function createWorkersCache(store, ttlSeconds) {
+  return {
+    async get(key) {
+      const response = await store.match(new Request(key));
+      return response ? response.json() : null;
+    },
+    async put(key, entry) {
+      await store.put(
+        new Request(key),
+        new Response(JSON.stringify(entry), {
+          headers: {
+            "content-type": "application/json",
+            "cache-control": `max-age=${ttlSeconds}`,
+          },
+        })
+      );
+    },
+  };
+}
+
+function createMemoryCache(ttlSeconds) {
+  return {
+    async get(key) {
+      const record = memoryEntries.get(key);
+      if (!record) return null;
+      memoryEntries.delete(key);
+      if (record.expiresAt <= Date.now()) return null;
+      memoryEntries.set(key, record);
+      return record.entry;
+    },
+    async put(key, entry) {
+      memoryEntries.delete(key);
+      memoryEntries.set(key, { entry, expiresAt: Date.now() + ttlSeconds * 1000 });
+      while (memoryEntries.size > MEMORY_CACHE_LIMIT) {
+        memoryEntries.delete(memoryEntries.keys().next().value);
+      }
+    },
+  };
+}
+
+function compare(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
@@ -0,0 +1,60 @@
+import {
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_USER_AGENT,
+  MAX_BUNDLE_BYTES,
+  MAX_EXTERNAL_REFS,
+  MAX_REF_DEPTH,
+  MAX_SPEC_BYTES,
+} from "./convert.js";
+import { createUrlPolicy } from "./urlPolicy.js";
+
+export const MAX_TIMEOUT_MS = 30000;
+export const CACHE_TTL_SECONDS = 86400;
+
+export function loadConfig(env) {
+  const maxTimeoutMs = readInteger(env, "MAX_TIMEOUT_MS", MAX_TIMEOUT_MS);
+  return {
+    defaultTimeoutMs: Math.min(readInteger(env, "DEFAULT_TIMEOUT_MS", DEFAULT_TIMEOUT_MS), maxTimeoutMs),
+    maxTimeoutMs,
+    maxSpecBytes: readInteger(env, "MAX_SPEC_BYTES", MAX_SPEC_BYTES),
+    maxBundleBytes: readInteger(env, "MAX_BUNDLE_BYTES", MAX_BUNDLE_BYTES),
+    maxExternalRefs: readInteger(env, "MAX_EXTERNAL_REFS", MAX_EXTERNAL_REFS),
+    maxRefDepth: readInteger(env, "MAX_REF_DEPTH", MAX_REF_DEPTH),
+    userAgent: readString(env, "USER_AGENT", DEFAULT_USER_AGENT),
+    defaultStrict: readFlag(env, "DEFAULT_STRICT", true),
+    defaultDeref: readDeref(env, "DEFAULT_DEREF", true),
+    corsOrigins: readList(env, "CORS_ORIGINS", ["*"]),
+    upstreamHeaderHosts: readList(env, "UPSTREAM_AUTH_HOSTS", []),
+    cacheTtlSeconds: readInteger(env, "CACHE_TTL_SECONDS", CACHE_TTL_SECONDS, 0),
+    urlPolicy: createUrlPolicy(env),
+  };
+}
+
+function readInteger(env, name, fallback, minimum = 1) {
+  const value = env && env[name] !== undefined && env[name] !== "" ? Number(env[name]) : NaN;
+  return Number.isInteger(value) && value >= minimum ? value : fallback;
+}
+
+function readString(env, name, fallback) {
+  const value = env && typeof env[name] === "string" ? env[name].trim() : "";
+  return value || fallback;
+}
+
+function readFlag(env, name, fallback) {
+  const value = env && env[name];
+  if (value === undefined || value === null || value === "") return fallback;
+  if (typeof value === "boolean") return value;
+  return ["1", "true", "yes", "on"].indexOf(String(value).trim().toLowerCase()) >= 0;
+}
+
+function readDeref(env, name, fallback) {
+  return readString(env, name, "").toLowerCase() === "cycles" ? "cycles" : readFlag(env, name, fallback);
+}
+
+function readList(env, name, fallback) {
+  const value = env && env[name];
+  const entries = (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+  return entries.length ? entries : fallback;
+}
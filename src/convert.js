@@ -0,0 +1,1147 @@
+import RefParserModule from "@apidevtools/json-schema-ref-parser";
+import YamlModule from "js-yaml";
+import { LineCounter, isMap, isScalar, isSeq, parseDocument } from "yaml";
+import { createDiagnostics } from "./diagnostics.js";
+import { createOperationFilter, filterOperations, pruneUnused } from "./filter.js";
+import { collectDefinitionNames, hoistSchemas } from "./hoist.js";
+import { assignOperationIds } from "./operationIds.js";
+import { DEFAULT_PROFILE, UnknownProfileError, getSanitizeProfile } from "./profiles.js";
+import { downgradeOpenapi31 } from "./openapi31ToOpenapi30.js";
+import {
+  ServerSelectionError,
+  convertOpenapi3ToSwagger2,
+  dereferenceSwagger2,
+  sanitizeSwagger2,
+} from "./openapi3ToSwagger2.js";
+import { buildLossinessReport, indexOperationUsage } from "./report.js";
+import { convertSwagger2ToOpenapi3 } from "./swagger2ToOpenapi3.js";
+import { BlockedUrlError, assertUrlAllowed, createUrlPolicy, hostMatches } from "./urlPolicy.js";
+import { validateOpenapi3, validateSwagger2 } from "./validate.js";
+
+const RefParser = RefParserModule.default ?? RefParserModule;
+const Yaml = YamlModule.default ?? YamlModule;
+
+export const DEFAULT_TIMEOUT_MS = 15000;
+export const MAX_SPEC_BYTES = 5 * 1024 * 1024;
+export const MAX_BUNDLE_BYTES = 2 * MAX_SPEC_BYTES;
+export const MAX_EXTERNAL_REFS = 50;
+export const MAX_REF_DEPTH = 10;
+export const DEFAULT_USER_AGENT = "openapi-31-to-20-worker";
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+const TARGET_VERSIONS = {
+  "2": "2.0",
+  "2.0": "2.0",
+  "3": "3.0",
+  "3.0": "3.0",
+  "3.0.3": "3.0",
+  "3.1": "3.1",
+  "3.1.0": "3.1",
+};
+const SILENT_LOG = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {},
+};
+const UNSUPPORTED_JSON_SCHEMA_KEYS = [
+  "$schema",
+  "$id",
+  "anchor",
+  "defs",
+  "$defs",
+  "if",
+  "then",
+  "else",
+  "dependentSchemas",
+  "dependentRequired",
+  "unevaluatedItems",
+  "unevaluatedProperties",
+  "propertyNames",
+  "patternProperties",
+  "contains",
+  "minContains",
+  "maxContains",
+  "prefixItems",
+  "contentEncoding",
+  "contentMediaType",
+  "contentSchema",
+  "examples",
+];
+
+export { BlockedUrlError, ServerSelectionError, UnknownProfileError, createUrlPolicy };
+
+export class SpecTooLargeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SpecTooLargeError";
+  }
+}
+
+export class BundleTooLargeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BundleTooLargeError";
+  }
+}
+
+export class TooManyRefsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TooManyRefsError";
+  }
+}
+
+export class RefDepthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RefDepthError";
+  }
+}
+
+export class FetchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FetchError";
+  }
+}
+
+const BUNDLE_ABORT_ERRORS = [BlockedUrlError, SpecTooLargeError, BundleTooLargeError, TooManyRefsError, RefDepthError];
+
+export class ParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ParseError";
+  }
+}
+
+export class InvalidDocumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidDocumentError";
+  }
+}
+
+export class InvalidInputError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = "InvalidInputError";
+    this.errors = errors;
+  }
+}
+
+export class UnsupportedTargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnsupportedTargetError";
+  }
+}
+
+export class ConversionError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = "ConversionError";
+    this.cause = cause;
+  }
+}
+
+export async function convertDocument(input, options = {}) {
+  const log = options.log || SILENT_LOG;
+  const debug = Boolean(options.debug);
+  const timings = options.timings || {};
+  const strict = options.strict !== undefined ? Boolean(options.strict) : true;
+  const deref = options.deref === undefined ? true : options.deref === "cycles" ? "cycles" : Boolean(options.deref);
+  const fetchOptions = createFetchOptions(input, options, log);
+  const target = normalizeTarget(options.target);
+  if (!target) {
+    throw new UnsupportedTargetError("target must be one of 2.0, 3.0 or 3.1.");
+  }
+  const profile = getSanitizeProfile(options.profile);
+  if (!strict && profile.name !== DEFAULT_PROFILE) {
+    throw new UnknownProfileError("profile only applies in strict mode; drop strict=0 or the profile.");
+  }
+
+  const loadStartedAt = Date.now();
+  const { spec: loadedSpec, sourceUrl, text } = await loadInput(input, options.baseUrl, {
+    ...fetchOptions,
+    allowFileRefs: Boolean(options.allowFileRefs),
+    timings,
+  });
+  log.info("spec_load_done", `${Date.now() - loadStartedAt}ms`);
+
+  const diagnostics = createDiagnostics();
+  const operationFilter = createOperationFilter(options);
+  const bundledSpec = filterOperations(loadedSpec, operationFilter, { diagnostics });
+  const prune = (document) => {
+    if (operationFilter) return pruneUnused(document, { diagnostics });
+    return options.prune && !deref ? pruneUnused(document, { diagnostics, componentsOnly: true }) : document;
+  };
+  const finishSpec = (converted) => {
+    const document = assignOperationIds(converted, { mode: options.operationIds, strict, diagnostics });
+    const names = options.hoist && deref ? collectDefinitionNames(document, { keepCycles: deref === "cycles" }) : null;
+    const dereferenced = deref
+      ? dereferenceSwagger2(document, { log, debug, diagnostics, keepCycles: deref === "cycles" })
+      : document;
+    return options.hoist ? hoistSchemas(dereferenced, { diagnostics, names }) : dereferenced;
+  };
+  const usage = options.report ? indexOperationUsage(bundledSpec) : null;
+  let originalVersion;
+  let inputValidation = null;
+  let spec;
+
+  if (bundledSpec.swagger === "2.0") {
+    originalVersion = "2.0";
+    spec = runConversion(() => {
+      if (target === "2.0") {
+        const sanitized = prune(sanitizeSwagger2(bundledSpec, { strict, profile, log, debug, diagnostics }));
+        return finalizeSwaggerSpec(finishSpec(sanitized));
+      }
+      const convertStartedAt = Date.now();
+      log.debug("upgrade_start", `target=${target}`);
+      const upgraded = prune(convertSwagger2ToOpenapi3(bundledSpec, { target, log, debug, diagnostics, sourceUrl }));
+      timings.convertMs = Date.now() - convertStartedAt;
+      return finalizeOpenapiSpec(finishSpec(upgraded));
+    });
+  } else {
+    if (!bundledSpec.openapi) {
+      throw new InvalidDocumentError("Input does not look like OpenAPI 3.x.");
+    }
+    if (target === "3.1") {
+      throw new UnsupportedTargetError(`Converting OpenAPI ${bundledSpec.openapi} to ${target} is not supported.`);
+    }
+    originalVersion = bundledSpec.openapi;
+
+    const inputValidateStartedAt = Date.now();
+    const inputErrors = locateErrors(validateOpenapi3(bundledSpec), text);
+    timings.inputValidateMs = Date.now() - inputValidateStartedAt;
+    log.debug("input_validate_done", `errors=${inputErrors.length}`, `${timings.inputValidateMs}ms`);
+    if (inputErrors.length && !options.lenient) {
+      throw new InvalidInputError(`OpenAPI document is invalid (${inputErrors.length} errors).`, inputErrors);
+    }
+    inputErrors.forEach((error) => {
+      diagnostics.add({
+        code: `input-${error.rule}`,
+        severity: "error",
+        stage: "validate",
+        sourcePointer: error.pointer,
+        line: error.line,
+        column: error.column,
+        message: error.message,
+      });
+    });
+    inputValidation = { valid: inputErrors.length === 0, errors: inputErrors };
+
+    const normalizeStartedAt = Date.now();
+    log.debug("normalize_start");
+    const normalized = runConversion(() => normalizeOpenapi31(bundledSpec, diagnostics, log, debug));
+    timings.normalizeMs = Date.now() - normalizeStartedAt;
+    log.debug("normalize_done", `${Date.now() - normalizeStartedAt}ms`);
+
+    const openIdConfigurations =
+      target === "2.0" ? await loadOpenIdConfigurations(normalized, sourceUrl, fetchOptions, diagnostics) : {};
+
+    spec = runConversion(() => {
+      const convertStartedAt = Date.now();
+      log.debug("convert_start");
+      const converted = target === "3.0"
+        ? downgradeOpenapi31(normalized, {
+          log,
+          debug,
+          strict,
+          diagnostics,
+          webhooks: options.webhooks,
+          webhookPrefix: options.webhookPrefix,
+        })
+        : convertOpenapi3ToSwagger2(normalized, {
+          log,
+          debug,
+          strict,
+          profile,
+          diagnostics,
+          openIdConfigurations,
+          server: options.server,
+          serverVariables: options.serverVariables,
+          webhooks: options.webhooks,
+          webhookPrefix: options.webhookPrefix,
+        });
+      timings.convertMs = Date.now() - convertStartedAt;
+      log.debug("convert_done", `${Date.now() - convertStartedAt}ms`);
+      const finished = finishSpec(prune(converted));
+      return target === "3.0" ? finalizeOpenapiSpec(finished) : finalizeSwaggerSpec(finished);
+    });
+  }
+
+  const result = { spec, diagnostics, timings, originalVersion, inputValidation, validation: null };
+  if (options.validate) {
+    const validateStartedAt = Date.now();
+    const errors = target === "2.0" ? validateSwagger2(spec) : validateOpenapi3(spec);
+    errors.forEach((error) => {
+      diagnostics.add({
+        code: `output-${error.rule}`,
+        severity: "error",
+        stage: "validate",
+        targetPointer: error.pointer,
+        message: error.message,
+      });
+    });
+    result.validation = { valid: errors.length === 0, errors };
+    timings.validateMs = Date.now() - validateStartedAt;
+    log.debug("validate_done", `errors=${errors.length}`, `${timings.validateMs}ms`);
+  }
+  if (options.report) {
+    result.report = buildLossinessReport(diagnostics, usage, { source: options.source || sourceUrl, originalVersion });
+  }
+  return result;
+}
+
+export async function fetchSpecSource(url, options = {}) {
+  const log = options.log || SILENT_LOG;
+  const timings = options.timings || {};
+  const sourceUrl = String(url).trim();
+  const fetchStartedAt = Date.now();
+  log.info("spec_load_start", sourceUrl);
+  const source = await fetchUpstream(sourceUrl, createFetchOptions(sourceUrl, options, log), {
+    conditional: options.conditional,
+  });
+  const detail = source.notModified ? "not_modified" : `bytes=${source.text.length}`;
+  log.debug("fetch_text_done", `${Date.now() - fetchStartedAt}ms`, detail);
+  timings.fetchMs = Date.now() - fetchStartedAt;
+  return source;
+}
+
+export function serializeSpec(result, options = {}) {
+  const spec = result && result.spec && typeof result.spec === "object" ? result.spec : {};
+  if (options.diagnostics && result.diagnostics) {
+    const info = {
+      source: options.source,
+      diagnostics: result.diagnostics.entries,
+      summary: result.diagnostics.summary(),
+      originalOpenapi: result.originalVersion,
+    };
+    if (!options.stable) {
+      info.convertedAt = new Date().toISOString();
+      info.timings = snapshotTimings(result.timings);
+    }
+    spec["x-conversion-info"] = info;
+  }
+  return options.format === "yaml"
+    ? Yaml.dump(spec, { lineWidth: -1, noRefs: true })
+    : JSON.stringify(spec, null, options.pretty ? 2 : 0);
+}
+
+export function normalizeTarget(value) {
+  if (!value) return "2.0";
+  return TARGET_VERSIONS[String(value).trim().toLowerCase()] || null;
+}
+
+function locateErrors(errors, text) {
+  if (!errors.length || !text) return errors;
+  let document;
+  const lineCounter = new LineCounter();
+  try {
+    document = parseDocument(text, { lineCounter, uniqueKeys: false });
+  } catch (error) {
+    return errors;
+  }
+  return errors.map((error) => {
+    const offset = locatePointer(document.contents, error.pointer);
+    if (offset === undefined) return error;
+    const { line, col } = lineCounter.linePos(offset);
+    return { ...error, line, column: col };
+  });
+}
+
+function locatePointer(root, pointer) {
+  let node = root;
+  let offset = root && root.range ? root.range[0] : undefined;
+  const segments = pointer.replace(/^#\/?/, "").split("/").filter((segment) => segment !== "");
+  for (const raw of segments) {
+    const segment = raw.replace(/~1/g, "/").replace(/~0/g, "~");
+    if (isMap(node)) {
+      const pair = node.items.find((item) => String(isScalar(item.key) ? item.key.value : item.key) === segment);
+      if (!pair) break;
+      offset = pair.key && pair.key.range ? pair.key.range[0] : offset;
+      node = pair.value;
+    } else if (isSeq(node)) {
+      node = node.items[Number(segment)];
+      if (!node || !node.range) break;
+      offset = node.range[0];
+    } else {
+      break;
+    }
+  }
+  return offset;
+}
+
+function createFetchOptions(input, options, log) {
+  return {
+    timeoutMs: options.timeoutMs || DEFAULT_TIMEOUT_MS,
+    urlPolicy: options.urlPolicy || createUrlPolicy(),
+    maxSpecBytes: options.maxSpecBytes || MAX_SPEC_BYTES,
+    maxBundleBytes: options.maxBundleBytes || MAX_BUNDLE_BYTES,
+    maxExternalRefs: options.maxExternalRefs || MAX_EXTERNAL_REFS,
+    maxRefDepth: options.maxRefDepth || MAX_REF_DEPTH,
+    userAgent: options.userAgent || DEFAULT_USER_AGENT,
+    upstream: createUpstreamCredentials(input, options),
+    log,
+  };
+}
+
+function runConversion(convert) {
+  try {
+    return convert();
+  } catch (error) {
+    if (error instanceof ServerSelectionError) throw error;
+    throw new ConversionError(String(error && error.message ? error.message : error), error);
+  }
+}
+
+async function loadInput(input, baseUrl, load) {
+  const { log, timings } = load;
+  if (isRemoteInput(input)) {
+    const sourceUrl = String(input).trim();
+    const protocol = new URL(sourceUrl).protocol;
+    if (protocol !== "http:" && protocol !== "https:") {
+      throw new FetchError("Only http and https URLs are supported.");
+    }
+    const fetchStartedAt = Date.now();
+    log.info("spec_load_start", sourceUrl);
+    const text = await fetchSpecText(sourceUrl, load);
+    log.debug("fetch_text_done", `${Date.now() - fetchStartedAt}ms`, `bytes=${text.length}`);
+    timings.fetchMs = Date.now() - fetchStartedAt;
+    return loadSpecText(text, sourceUrl, load);
+  }
+  const sourceUrl = baseUrl ? String(baseUrl) : "";
+  if (typeof input === "string") {
+    return loadSpecText(input, sourceUrl, load);
+  }
+  if (input && typeof input === "object") {
+    return bundleIfNeeded(JSON.parse(JSON.stringify(input)), sourceUrl, load);
+  }
+  throw new ParseError("Input must be an OpenAPI document, its text or a URL.");
+}
+
+async function loadSpecText(text, sourceUrl, load) {
+  const { log, timings } = load;
+  const bytes = new TextEncoder().encode(text).byteLength;
+  if (bytes > load.maxSpecBytes) {
+    throw new SpecTooLargeError("OpenAPI document is too large.");
+  }
+
+  const parseStartedAt = Date.now();
+  const parsed = parseSpecText(text);
+  log.debug("parse_done", `${Date.now() - parseStartedAt}ms`);
+  timings.parseMs = Date.now() - parseStartedAt;
+  timings.specBytes = bytes;
+  if (!parsed || typeof parsed !== "object") {
+    throw new ParseError("OpenAPI document is not an object.");
+  }
+  return { ...(await bundleIfNeeded(parsed, sourceUrl, load, bytes)), text };
+}
+
+async function bundleIfNeeded(parsed, sourceUrl, load, rootBytes = 0) {
+  const { log, timings } = load;
+  const externalRef = findExternalRef(parsed);
+  if (!externalRef) {
+    log.debug("external_ref", "none");
+    return { spec: parsed, sourceUrl };
+  }
+
+  log.info("external_ref", externalRef);
+  const bundleStartedAt = Date.now();
+  let bundled;
+  try {
+    bundled = await bundleSpec(sourceUrl, parsed, load, rootBytes);
+  } catch (error) {
+    if (load.abortError) throw load.abortError;
+    throw new FetchError(String(error && error.message ? error.message : error));
+  }
+  log.info("bundle_done", `${Date.now() - bundleStartedAt}ms`);
+  timings.bundleMs = Date.now() - bundleStartedAt;
+  if (estimateSize(bundled) > load.maxBundleBytes) {
+    log.warn("bundle_too_large", "bundled");
+    throw new BundleTooLargeError("Bundled OpenAPI document is too large.");
+  }
+  return { spec: bundled, sourceUrl };
+}
+
+async function fetchSpecText(sourceUrl, load, budget = Infinity) {
+  const { text } = await fetchUpstream(sourceUrl, load, { budget });
+  return text;
+}
+
+async function fetchUpstream(sourceUrl, load, request = {}) {
+  const { timeoutMs, urlPolicy, maxSpecBytes, userAgent, upstream, log } = load;
+  const budget = request.budget !== undefined ? request.budget : Infinity;
+  const conditional = request.conditional || {};
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    log.debug("fetch_text_start", sourceUrl);
+    let url = assertUrlAllowed(sourceUrl, urlPolicy);
+    let response;
+    for (let redirects = 0; ; redirects += 1) {
+      try {
+        response = await fetch(url, {
+          headers: {
+            "user-agent": userAgent,
+            "accept": "application/json, application/yaml, text/yaml, */*",
+            ...forwardedHeaders(url, upstream),
+            ...conditionalHeaders(conditional),
+          },
+          redirect: "manual",
+          signal: controller.signal,
+        });
+      } catch (error) {
+        throw new FetchError(String(error && error.message ? error.message : error));
+      }
+      if (!REDIRECT_STATUSES.has(response.status)) break;
+
+      const location = response.headers.get("location");
+      if (!location) {
+        throw new FetchError(`Upstream returned ${response.status} without a location.`);
+      }
+      if (redirects >= urlPolicy.maxRedirects) {
+        throw new BlockedUrlError(`Too many redirects (max ${urlPolicy.maxRedirects}) while fetching ${sourceUrl}.`);
+      }
+      url = assertUrlAllowed(new URL(location, url), urlPolicy);
+      log.debug("fetch_redirect", response.status, url.href);
+    }
+
+    const etag = response.headers.get("etag");
+    const lastModified = response.headers.get("last-modified");
+    if (response.status === 304 && (conditional.etag || conditional.lastModified)) {
+      return {
+        text: null,
+        etag: etag || conditional.etag,
+        lastModified: lastModified || conditional.lastModified,
+        notModified: true,
+      };
+    }
+    if (!response.ok) {
+      throw new FetchError(`Upstream returned ${response.status}.`);
+    }
+
+    const contentLength = response.headers.get("content-length");
+    if (contentLength && Number(contentLength) > maxSpecBytes) {
+      throw new SpecTooLargeError("OpenAPI document is too large.");
+    }
+    if (contentLength && Number(contentLength) > budget) {
+      throw new BundleTooLargeError("Bundled OpenAPI document is too large.");
+    }
+
+    const text = await readTextWithLimit(response, maxSpecBytes, budget);
+    return { text, etag, lastModified, notModified: false };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function conditionalHeaders(conditional) {
+  const headers = {};
+  if (conditional.etag) {
+    headers["if-none-match"] = conditional.etag;
+  }
+  if (conditional.lastModified) {
+    headers["if-modified-since"] = conditional.lastModified;
+  }
+  return headers;
+}
+
+export async function readTextWithLimit(response, maxBytes, budget = Infinity) {
+  if (!response.body) return "";
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let received = 0;
+  let text = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    received += value.byteLength;
+    if (received > maxBytes || received > budget) {
+      await reader.cancel().catch(() => {});
+      throw received > maxBytes
+        ? new SpecTooLargeError("OpenAPI document is too large.")
+        : new BundleTooLargeError("Bundled OpenAPI document is too large.");
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+  return text + decoder.decode();
+}
+
+function isRemoteInput(input) {
+  return input instanceof URL || (typeof input === "string" && /^https?:\/\/\S+$/i.test(input.trim()));
+}
+
+function createUpstreamCredentials(input, options) {
+  const headers = options.upstreamHeaders || {};
+  if (!Object.keys(headers).length) return null;
+  const source = isRemoteInput(input) ? String(input).trim() : options.baseUrl;
+  let origin = null;
+  try {
+    origin = source ? new URL(String(source)).origin : null;
+  } catch (error) {
+    origin = null;
+  }
+  return { headers, origin, hosts: options.upstreamHeaderHosts || [] };
+}
+
+function forwardedHeaders(url, upstream) {
+  if (!upstream || !upstream.origin || url.origin !== upstream.origin) return {};
+  if (upstream.hosts.length && !hostMatches(url.hostname, upstream.hosts)) return {};
+  return upstream.headers;
+}
+
+function parseSpecText(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    try {
+      return Yaml.load(text, { schema: Yaml.JSON_SCHEMA });
+    } catch (yamlError) {
+      try {
+        return Yaml.load(text);
+      } catch (fallbackError) {
+        throw new ParseError(String(fallbackError && fallbackError.message ? fallbackError.message : fallbackError));
+      }
+    }
+  }
+}
+
+function findExternalRef(root) {
+  return collectExternalRefs(root, 1)[0] || null;
+}
+
+function collectExternalRefs(root, limit = Infinity) {
+  const refs = [];
+  if (!root || typeof root !== "object") return refs;
+  const seen = new WeakSet();
+  const stack = [root];
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (!node || typeof node !== "object") continue;
+    if (seen.has(node)) continue;
+    seen.add(node);
+
+    if (Object.prototype.hasOwnProperty.call(node, "$ref")) {
+      const refValue = node.$ref;
+      if (typeof refValue === "string" && !refValue.startsWith("#")) {
+        refs.push(refValue);
+        if (refs.length >= limit) return refs;
+      }
+    }
+
+    if (Array.isArray(node)) {
+      for (let i = node.length - 1; i >= 0; i -= 1) {
+        stack.push(node[i]);
+      }
+    } else {
+      for (const key in node) {
+        stack.push(node[key]);
+      }
+    }
+  }
+
+  return refs;
+}
+
+async function bundleSpec(sourceUrl, schema, load, rootBytes) {
+  const bundle = { documents: 0, bytes: rootBytes, depths: new Map() };
+  recordRefDepths(bundle, schema, sourceUrl, 1);
+  const readRemote = async (file) => {
+    const url = file.url;
+    const depth = bundle.depths.get(url) || 1;
+    if (depth > load.maxRefDepth) {
+      throw new RefDepthError(`External $ref nesting exceeds ${load.maxRefDepth} levels at ${url}.`);
+    }
+    bundle.documents += 1;
+    if (bundle.documents > load.maxExternalRefs) {
+      throw new TooManyRefsError(`More than ${load.maxExternalRefs} external documents are referenced.`);
+    }
+    const text = await fetchSpecText(url, load, load.maxBundleBytes - bundle.bytes);
+    bundle.bytes += text.length;
+    if (bundle.bytes > load.maxBundleBytes) {
+      throw new BundleTooLargeError("Bundled OpenAPI document is too large.");
+    }
+    let parsed = null;
+    try {
+      parsed = parseSpecText(text);
+    } catch (error) {
+      parsed = null;
+    }
+    recordRefDepths(bundle, parsed, url, depth + 1);
+    return text;
+  };
+  const resolve = {
+    http: false,
+    remote: {
+      order: 200,
+      canRead: /^https?:\/\//i,
+      read: async (file) => {
+        try {
+          return await readRemote(file);
+        } catch (error) {
+          if (BUNDLE_ABORT_ERRORS.some((ErrorClass) => error instanceof ErrorClass)) {
+            load.abortError = error;
+          }
+          throw error;
+        }
+      },
+    },
+  };
+  if (!load.allowFileRefs) {
+    resolve.file = false;
+  }
+  return RefParser.bundle(sourceUrl, schema, { resolve, mutateInputSchema: true });
+}
+
+function recordRefDepths(bundle, document, baseUrl, depth) {
+  collectExternalRefs(document).forEach((ref) => {
+    let url;
+    try {
+      url = new URL(ref.split("#")[0], baseUrl || undefined).href;
+    } catch (error) {
+      return;
+    }
+    if (!bundle.depths.has(url) || bundle.depths.get(url) > depth) {
+      bundle.depths.set(url, depth);
+    }
+  });
+}
+
+async function loadOpenIdConfigurations(spec, baseUrl, load, diagnostics) {
+  const { log } = load;
+  const configurations = {};
+  const schemes = (spec.components && spec.components.securitySchemes) || {};
+  for (const name in schemes) {
+    const scheme = schemes[name];
+    if (!scheme || scheme.type !== "openIdConnect" || typeof scheme.openIdConnectUrl !== "string") continue;
+    const discoveryUrl = scheme.openIdConnectUrl;
+    if (Object.prototype.hasOwnProperty.call(configurations, discoveryUrl)) continue;
+    try {
+      const resolvedUrl = new URL(discoveryUrl, baseUrl || undefined);
+      if (resolvedUrl.protocol !== "http:" && resolvedUrl.protocol !== "https:") {
+        throw new Error("Only http and https URLs are supported.");
+      }
+      const text = await fetchSpecText(resolvedUrl.toString(), load);
+      const parsed = JSON.parse(text);
+      if (!parsed || typeof parsed !== "object") {
+        throw new Error("Discovery document is not an object.");
+      }
+      configurations[discoveryUrl] = parsed;
+    } catch (error) {
+      const message = String(error && error.message ? error.message : error);
+      log.warn("openid_discovery_failed", discoveryUrl, message);
+      if (diagnostics) {
+        diagnostics.add({
+          code: "openid-discovery-failed",
+          severity: "warning",
+          stage: "load",
+          sourcePointer: formatPath(["components", "securitySchemes", name, "openIdConnectUrl"]),
+          message: `Failed to load openIdConnect discovery document: ${message}`,
+        });
+      }
+    }
+  }
+  return configurations;
+}
+
+function estimateSize(value) {
+  try {
+    return JSON.stringify(value).length;
+  } catch (error) {
+    return Infinity;
+  }
+}
+
+function normalizeOpenapi31(spec, diagnostics, log, debug) {
+  const openapiVersion = String(spec.openapi || "");
+  const is31 = openapiVersion.startsWith("3.1");
+  const shouldLog = Boolean(debug && log && typeof log.debug === "function");
+  let visited = 0;
+
+  if (is31) {
+    spec.openapi = "3.0.3";
+    if (diagnostics) {
+      diagnostics.add({
+        code: "openapi-version-downgraded",
+        severity: "info",
+        stage: "normalize",
+        sourcePointer: "#/openapi",
+        message: "Downgraded openapi version 3.1.x to 3.0.3 for conversion.",
+      });
+    }
+  }
+
+  if (spec.jsonSchemaDialect) {
+    delete spec.jsonSchemaDialect;
+    if (diagnostics) {
+      diagnostics.add({
+        code: "json-schema-dialect-removed",
+        severity: "info",
+        stage: "normalize",
+        sourcePointer: "#/jsonSchemaDialect",
+        message: "Removed jsonSchemaDialect (not supported in OpenAPI 3.0).",
+      });
+    }
+  }
+
+  if (!is31) {
+    if (shouldLog) {
+      log.debug("normalize_skip", `openapi=${openapiVersion || "unknown"}`);
+    }
+    return spec;
+  }
+
+  walkSchemas(
+    spec,
+    (schema, path) => {
+      if (shouldLog) {
+        visited += 1;
+        if (visited % 2000 === 0) {
+          log.debug("normalize_schema_progress", `schemas=${visited}`);
+        }
+      }
+      normalizeSchemaNode(schema, path, diagnostics);
+    },
+    { trackPath: Boolean(diagnostics) }
+  );
+
+  if (shouldLog) {
+    log.debug("normalize_complete", `nodes=${visited}`);
+  }
+  return spec;
+}
+
+function walkSchemas(spec, visitor, options) {
+  if (!spec || typeof spec !== "object") return;
+  const trackPath = Boolean(options && options.trackPath);
+  const seen = new WeakSet();
+  const stack = [];
+
+  const pushSchema = (schema, path) => {
+    if (!schema || typeof schema !== "object") return;
+    if (seen.has(schema)) return;
+    seen.add(schema);
+    stack.push(trackPath ? { schema, path } : { schema });
+  };
+
+  const walkContent = (content, basePath) => {
+    if (!content || typeof content !== "object") return;
+    for (const mediaType in content) {
+      const media = content[mediaType];
+      if (media && media.schema) {
+        pushSchema(media.schema, basePath.concat(mediaType, "schema"));
+      }
+    }
+  };
+
+  const walkParameter = (param, basePath) => {
+    if (!param || typeof param !== "object") return;
+    if (param.schema) {
+      pushSchema(param.schema, basePath.concat("schema"));
+    }
+    if (param.content) {
+      walkContent(param.content, basePath.concat("content"));
+    }
+  };
+
+  const walkParameters = (parameters, basePath) => {
+    if (!Array.isArray(parameters)) return;
+    parameters.forEach((param, index) => {
+      walkParameter(param, basePath.concat("parameters", index));
+    });
+  };
+
+  const walkHeader = (header, basePath) => {
+    if (!header || typeof header !== "object") return;
+    if (header.schema) {
+      pushSchema(header.schema, basePath.concat("schema"));
+    }
+    if (header.content) {
+      walkContent(header.content, basePath.concat("content"));
+    }
+  };
+
+  const walkHeaders = (headers, basePath) => {
+    if (!headers || typeof headers !== "object") return;
+    for (const name in headers) {
+      walkHeader(headers[name], basePath.concat(name));
+    }
+  };
+
+  const walkResponse = (response, basePath) => {
+    if (!response || typeof response !== "object") return;
+    if (response.content) {
+      walkContent(response.content, basePath.concat("content"));
+    }
+    if (response.headers) {
+      walkHeaders(response.headers, basePath.concat("headers"));
+    }
+  };
+
+  const walkResponses = (responses, basePath) => {
+    if (!responses || typeof responses !== "object") return;
+    for (const code in responses) {
+      walkResponse(responses[code], basePath.concat(code));
+    }
+  };
+
+  const walkRequestBody = (requestBody, basePath) => {
+    if (!requestBody || typeof requestBody !== "object") return;
+    if (requestBody.content) {
+      walkContent(requestBody.content, basePath.concat("content"));
+    }
+  };
+
+  const walkCallback = (callback, basePath) => {
+    if (!callback || typeof callback !== "object") return;
+    for (const expr in callback) {
+      walkPathItem(callback[expr], basePath.concat(expr));
+    }
+  };
+
+  const walkCallbacks = (callbacks, basePath) => {
+    if (!callbacks || typeof callbacks !== "object") return;
+    for (const name in callbacks) {
+      walkCallback(callbacks[name], basePath.concat(name));
+    }
+  };
+
+  const walkOperation = (operation, basePath) => {
+    if (!operation || typeof operation !== "object") return;
+    walkParameters(operation.parameters, basePath);
+    if (operation.requestBody) {
+      walkRequestBody(operation.requestBody, basePath.concat("requestBody"));
+    }
+    if (operation.responses) {
+      walkResponses(operation.responses, basePath.concat("responses"));
+    }
+    if (operation.callbacks) {
+      walkCallbacks(operation.callbacks, basePath.concat("callbacks"));
+    }
+  };
+
+  const walkPathItem = (pathItem, basePath) => {
+    if (!pathItem || typeof pathItem !== "object") return;
+    walkParameters(pathItem.parameters, basePath);
+    for (const method of HTTP_METHODS) {
+      if (pathItem[method]) {
+        walkOperation(pathItem[method], basePath.concat(method));
+      }
+    }
+    if (pathItem.callbacks) {
+      walkCallbacks(pathItem.callbacks, basePath.concat("callbacks"));
+    }
+  };
+
+  const walkComponents = (components, basePath) => {
+    if (!components || typeof components !== "object") return;
+    if (components.schemas) {
+      for (const name in components.schemas) {
+        pushSchema(components.schemas[name], basePath.concat("schemas", name));
+      }
+    }
+    if (components.parameters) {
+      for (const name in components.parameters) {
+        walkParameter(components.parameters[name], basePath.concat("parameters", name));
+      }
+    }
+    if (components.requestBodies) {
+      for (const name in components.requestBodies) {
+        walkRequestBody(components.requestBodies[name], basePath.concat("requestBodies", name));
+      }
+    }
+    if (components.responses) {
+      for (const name in components.responses) {
+        walkResponse(components.responses[name], basePath.concat("responses", name));
+      }
+    }
+    if (components.headers) {
+      for (const name in components.headers) {
+        walkHeader(components.headers[name], basePath.concat("headers", name));
+      }
+    }
+    if (components.pathItems) {
+      for (const name in components.pathItems) {
+        walkPathItem(components.pathItems[name], basePath.concat("pathItems", name));
+      }
+    }
+    if (components.callbacks) {
+      for (const name in components.callbacks) {
+        walkCallback(components.callbacks[name], basePath.concat("callbacks", name));
+      }
+    }
+  };
+
+  if (spec.paths) {
+    for (const path in spec.paths) {
+      walkPathItem(spec.paths[path], ["paths", path]);
+    }
+  }
+  if (spec.webhooks) {
+    for (const name in spec.webhooks) {
+      walkPathItem(spec.webhooks[name], ["webhooks", name]);
+    }
+  }
+  if (spec.components) {
+    walkComponents(spec.components, ["components"]);
+  }
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    const schema = current && current.schema;
+    const path = trackPath && current ? current.path : undefined;
+    if (!schema || typeof schema !== "object") continue;
+    visitor(schema, path || []);
+
+    if (schema.allOf) {
+      schema.allOf.forEach((item, index) => {
+        pushSchema(item, (path || []).concat("allOf", index));
+      });
+    }
+    if (schema.anyOf) {
+      schema.anyOf.forEach((item, index) => {
+        pushSchema(item, (path || []).concat("anyOf", index));
+      });
+    }
+    if (schema.oneOf) {
+      schema.oneOf.forEach((item, index) => {
+        pushSchema(item, (path || []).concat("oneOf", index));
+      });
+    }
+    if (schema.not) {
+      pushSchema(schema.not, (path || []).concat("not"));
+    }
+    if (schema.items) {
+      if (Array.isArray(schema.items)) {
+        schema.items.forEach((item, index) => {
+          pushSchema(item, (path || []).concat("items", index));
+        });
+      } else {
+        pushSchema(schema.items, (path || []).concat("items"));
+      }
+    }
+    if (schema.properties && typeof schema.properties === "object") {
+      for (const propName in schema.properties) {
+        pushSchema(schema.properties[propName], (path || []).concat("properties", propName));
+      }
+    }
+    if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+      pushSchema(schema.additionalProperties, (path || []).concat("additionalProperties"));
+    }
+  }
+}
+
+function normalizeSchemaNode(schema, path, diagnostics) {
+  const report = (code, severity, message) => {
+    if (diagnostics) {
+      diagnostics.add({ code, severity, stage: "normalize", sourcePointer: formatPath(path), message });
+    }
+  };
+
+  if (Array.isArray(schema.examples) && schema.examples.length > 0 && schema.example === undefined) {
+    schema.example = schema.examples[0];
+  }
+
+  const unsupported = {};
+  for (const key of UNSUPPORTED_JSON_SCHEMA_KEYS) {
+    if (Object.prototype.hasOwnProperty.call(schema, key)) {
+      unsupported[key] = schema[key];
+      delete schema[key];
+    }
+  }
+
+  if (Object.keys(unsupported).length > 0) {
+    schema["x-oas31-unsupported"] = unsupported;
+    report(
+      "schema-keyword-unsupported",
+      "warning",
+      `Moved unsupported JSON Schema keywords to x-oas31-unsupported: ${Object.keys(unsupported).join(", ")}.`
+    );
+  }
+
+  if (Array.isArray(schema.type)) {
+    const types = schema.type.filter((item) => item !== "null");
+    if (schema.type.includes("null")) {
+      schema.nullable = schema.nullable ?? true;
+    }
+
+    if (types.length === 1) {
+      schema.type = types[0];
+    } else if (types.length > 1) {
+      schema.type = types[0];
+      schema["x-type-alternatives"] = types.slice(1);
+      report("schema-type-collapsed", "warning", `Collapsed multiple schema types to ${types[0]}.`);
+    } else {
+      delete schema.type;
+      report("schema-type-null-dropped", "warning", "Dropped null-only schema type.");
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(schema, "const")) {
+    if (!Object.prototype.hasOwnProperty.call(schema, "enum")) {
+      schema.enum = [schema.const];
+    }
+    delete schema.const;
+    report("schema-const-to-enum", "info", "Replaced const with enum.");
+  }
+
+  if (typeof schema.exclusiveMinimum === "number") {
+    if (schema.minimum !== undefined && schema.minimum !== schema.exclusiveMinimum) {
+      report("schema-bound-overwritten", "warning", "exclusiveMinimum overwrote minimum.");
+    }
+    schema.minimum = schema.exclusiveMinimum;
+    schema.exclusiveMinimum = true;
+  }
+
+  if (typeof schema.exclusiveMaximum === "number") {
+    if (schema.maximum !== undefined && schema.maximum !== schema.exclusiveMaximum) {
+      report("schema-bound-overwritten", "warning", "exclusiveMaximum overwrote maximum.");
+    }
+    schema.maximum = schema.exclusiveMaximum;
+    schema.exclusiveMaximum = true;
+  }
+}
+
+function formatPath(path) {
+  if (!path || !path.length) return "#/";
+  const parts = path.map((part) => String(part).replace(/~/g, "~0").replace(/\//g, "~1"));
+  return `#/${parts.join("/")}`;
+}
+
+function finalizeSwaggerSpec(spec) {
+  const output = spec && typeof spec === "object" ? spec : {};
+  output.swagger = "2.0";
+  output.info = output.info || { title: "API", version: "0.0.0" };
+  output.info.title = output.info.title || "API";
+  output.info.version = output.info.version || "0.0.0";
+  output.paths = output.paths || {};
+  return output;
+}
+
+function finalizeOpenapiSpec(spec) {
+  const output = spec && typeof spec === "object" ? spec : {};
+  output.info = output.info || { title: "API", version: "0.0.0" };
+  output.info.title = output.info.title || "API";
+  output.info.version = output.info.version || "0.0.0";
+  output.paths = output.paths || {};
+  return output;
+}
+
+function snapshotTimings(timings) {
+  if (!timings) return undefined;
+  const output = {};
+  for (const [key, value] of Object.entries(timings)) {
+    if (!key.endsWith("Ms")) {
+      continue;
+    }
+    if (typeof value === "number" && Number.isFinite(value)) {
+      output[key] = Math.round(value);
+    }
+  }
+  return Object.keys(output).length ? output : undefined;
+}
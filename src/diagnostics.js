@@ -0,0 +1,47 @@
+const SEVERITIES = ["error", "warning", "info"];
+
+export function createDiagnostics() {
+  const entries = [];
+  const index = new Map();
+
+  return {
+    entries,
+    add(entry) {
+      const severity = SEVERITIES.indexOf(entry.severity) >= 0 ? entry.severity : "warning";
+      const record = {
+        code: entry.code,
+        severity,
+        stage: entry.stage,
+        sourcePointer: entry.sourcePointer,
+        targetPointer: entry.targetPointer,
+        line: entry.line,
+        column: entry.column,
+        message: entry.message,
+      };
+      const key = [record.code, record.stage, record.sourcePointer, record.targetPointer, record.message].join("\u0000");
+      const existing = index.get(key);
+      if (existing) {
+        existing.count += 1;
+        return existing;
+      }
+      record.count = 1;
+      index.set(key, record);
+      entries.push(record);
+      return record;
+    },
+    has(code) {
+      return entries.some((entry) => entry.code === code);
+    },
+    summary() {
+      const bySeverity = {};
+      const byCode = {};
+      let total = 0;
+      for (const entry of entries) {
+        total += entry.count;
+        bySeverity[entry.severity] = (bySeverity[entry.severity] || 0) + entry.count;
+        byCode[entry.code] = (byCode[entry.code] || 0) + entry.count;
+      }
+      return { total, bySeverity, byCode };
+    },
+  };
+}
@@ -0,0 +1,282 @@
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+const COMPONENT_SECTIONS = [
+  "schemas",
+  "parameters",
+  "responses",
+  "requestBodies",
+  "headers",
+  "examples",
+  "links",
+  "callbacks",
+  "pathItems",
+];
+const SWAGGER2_SECTIONS = ["definitions", "parameters", "responses"];
+const FILTER_LISTS = ["includeTags", "excludeTags", "paths", "methods", "includeOperationIds", "excludeOperationIds"];
+
+export function createOperationFilter(options = {}) {
+  const lists = {};
+  FILTER_LISTS.forEach((name) => {
+    lists[name] = toList(options[name]);
+  });
+  const excludeDeprecated = Boolean(options.excludeDeprecated);
+  if (!excludeDeprecated && FILTER_LISTS.every((name) => !lists[name].length)) {
+    return null;
+  }
+  return {
+    ...lists,
+    paths: lists.paths.map(compilePathGlob),
+    methods: lists.methods.map((method) => method.toLowerCase()),
+    excludeDeprecated,
+  };
+}
+
+export function filterOperations(spec, filter, options = {}) {
+  if (!filter || !spec || typeof spec !== "object") return spec;
+  const diagnostics = (options && options.diagnostics) || null;
+  const result = { ...spec };
+  let kept = 0;
+  let removed = 0;
+
+  const filterContainer = (container) => {
+    const next = {};
+    for (const name in container) {
+      let pathItem = container[name];
+      if (!pathItem || typeof pathItem !== "object") continue;
+      if (typeof pathItem.$ref === "string") {
+        const resolved = pathItem.$ref.startsWith("#/") ? resolvePointer(spec, pathItem.$ref) : null;
+        if (!resolved || typeof resolved !== "object") {
+          if (!filter.paths.length || filter.paths.some((pattern) => pattern.test(name))) next[name] = pathItem;
+          continue;
+        }
+        pathItem = { ...resolved, ...pathItem };
+        delete pathItem.$ref;
+      }
+      const filtered = { ...pathItem };
+      let remaining = 0;
+      for (const method of HTTP_METHODS) {
+        const operation = pathItem[method];
+        if (!operation || typeof operation !== "object") continue;
+        if (matchesFilter(filter, name, method, operation)) {
+          remaining += 1;
+        } else {
+          delete filtered[method];
+        }
+      }
+      const total = HTTP_METHODS.filter((method) => pathItem[method] && typeof pathItem[method] === "object").length;
+      kept += remaining;
+      removed += total - remaining;
+      if (remaining) {
+        next[name] = remaining === total ? container[name] : filtered;
+      }
+    }
+    return next;
+  };
+
+  if (spec.paths && typeof spec.paths === "object") {
+    result.paths = filterContainer(spec.paths);
+  }
+  if (spec.webhooks && typeof spec.webhooks === "object") {
+    result.webhooks = filterContainer(spec.webhooks);
+  }
+
+  if (diagnostics) {
+    diagnostics.add({
+      code: kept ? "filter-operations-removed" : "filter-no-operations",
+      severity: kept ? "info" : "warning",
+      stage: "filter",
+      sourcePointer: "#/paths",
+      message: kept
+        ? `Kept ${kept} of ${kept + removed} operations matching the filter.`
+        : `None of the ${removed} operations matched the filter.`,
+    });
+  }
+  return result;
+}
+
+export function pruneUnused(spec, options = {}) {
+  if (!spec || typeof spec !== "object") return spec;
+  const diagnostics = (options && options.diagnostics) || null;
+  const componentsOnly = Boolean(options && options.componentsOnly);
+  const components = spec.components && typeof spec.components === "object" ? spec.components : null;
+  const sections = components
+    ? COMPONENT_SECTIONS.map((section) => [`#/components/${section}`, components, section])
+    : SWAGGER2_SECTIONS.map((section) => [`#/${section}`, spec, section]);
+  const entries = new Map();
+  sections.forEach(([prefix, owner, section]) => {
+    const container = owner[section];
+    if (!container || typeof container !== "object") return;
+    for (const name in container) {
+      entries.set(`${prefix}/${escapePointer(name)}`, container[name]);
+    }
+  });
+
+  const reached = new Set();
+  const usedSecurity = new Set();
+  const usedTags = new Set();
+  const seen = new WeakSet();
+  const stack = [];
+  for (const key in spec) {
+    if (key === "components" || key === "tags" || (!components && SWAGGER2_SECTIONS.indexOf(key) >= 0)) continue;
+    stack.push(spec[key]);
+  }
+  const reach = (ref) => {
+    const key = componentKey(ref, entries);
+    if (!key || reached.has(key)) return;
+    reached.add(key);
+    stack.push(entries.get(key));
+  };
+  const drain = () => {
+    while (stack.length) {
+      const node = stack.pop();
+      if (!node || typeof node !== "object" || seen.has(node)) continue;
+      seen.add(node);
+      if (typeof node.$ref === "string") reach(node.$ref);
+      if (node.discriminator && node.discriminator.mapping && typeof node.discriminator.mapping === "object") {
+        Object.values(node.discriminator.mapping).forEach((value) => {
+          if (typeof value === "string") reach(value);
+        });
+      }
+      if (Array.isArray(node.security)) {
+        node.security.forEach((requirement) => {
+          Object.keys(requirement || {}).forEach((name) => usedSecurity.add(name));
+        });
+      }
+      if (Array.isArray(node.tags) && node.responses && typeof node.responses === "object") {
+        node.tags.forEach((tag) => usedTags.add(tag));
+      }
+      for (const key in node) {
+        stack.push(node[key]);
+      }
+    }
+  };
+  drain();
+  const schemaPrefix = components ? "#/components/schemas/" : "#/definitions/";
+  for (let changed = true; changed; ) {
+    changed = false;
+    entries.forEach((schema, key) => {
+      if (reached.has(key) || !key.startsWith(schemaPrefix) || !extendsReachedParent(schema, reached, entries)) return;
+      reach(key);
+      changed = true;
+    });
+    drain();
+  }
+
+  const removed = [];
+  sections.forEach(([prefix, owner, section]) => {
+    const container = owner[section];
+    if (!container || typeof container !== "object") return;
+    const names = Object.keys(container).filter((name) => !reached.has(`${prefix}/${escapePointer(name)}`));
+    names.forEach((name) => delete container[name]);
+    if (names.length) removed.push([prefix, names.length, section]);
+    if (!Object.keys(container).length) delete owner[section];
+  });
+
+  const securityOwner = components || spec;
+  const securitySection = components ? "securitySchemes" : "securityDefinitions";
+  const securityContainer = securityOwner[securitySection];
+  if (!componentsOnly && securityContainer && typeof securityContainer === "object") {
+    const names = Object.keys(securityContainer).filter((name) => !usedSecurity.has(name));
+    names.forEach((name) => delete securityContainer[name]);
+    const pointer = components ? `#/components/${securitySection}` : `#/${securitySection}`;
+    if (names.length) removed.push([pointer, names.length, securitySection]);
+    if (!Object.keys(securityContainer).length) delete securityOwner[securitySection];
+  }
+  if (components && !Object.keys(components).length) {
+    delete spec.components;
+  }
+
+  if (!componentsOnly && Array.isArray(spec.tags)) {
+    const tags = spec.tags.filter((tag) => tag && usedTags.has(tag.name));
+    if (tags.length < spec.tags.length) removed.push(["#/tags", spec.tags.length - tags.length, "tags"]);
+    if (tags.length) {
+      spec.tags = tags;
+    } else {
+      delete spec.tags;
+    }
+  }
+
+  if (diagnostics) {
+    removed.forEach(([pointer, count, section]) => {
+      diagnostics.add({
+        code: "unused-removed",
+        severity: "info",
+        stage: "prune",
+        targetPointer: pointer,
+        message: `Removed ${count} ${count === 1 ? "entry" : "entries"} from ${section} that no operation uses.`,
+      });
+    });
+  }
+  return spec;
+}
+
+function matchesFilter(filter, path, method, operation) {
+  const tags = Array.isArray(operation.tags) ? operation.tags : [];
+  if (filter.paths.length && !filter.paths.some((pattern) => pattern.test(path))) return false;
+  if (filter.methods.length && filter.methods.indexOf(method) < 0) return false;
+  if (filter.includeTags.length && !tags.some((tag) => filter.includeTags.indexOf(tag) >= 0)) return false;
+  if (tags.some((tag) => filter.excludeTags.indexOf(tag) >= 0)) return false;
+  if (filter.includeOperationIds.length && filter.includeOperationIds.indexOf(operation.operationId) < 0) return false;
+  if (filter.excludeOperationIds.indexOf(operation.operationId) >= 0) return false;
+  return !(filter.excludeDeprecated && operation.deprecated === true);
+}
+
+function extendsReachedParent(schema, reached, entries) {
+  if (!schema || !Array.isArray(schema.allOf)) return false;
+  return schema.allOf.some((member) => {
+    if (!member || typeof member.$ref !== "string") return false;
+    const key = componentKey(member.$ref, entries);
+    const parent = key && reached.has(key) ? entries.get(key) : null;
+    return Boolean(parent && parent.discriminator);
+  });
+}
+
+function componentKey(ref, entries) {
+  if (!ref.startsWith("#/")) return null;
+  const parts = ref.split("/");
+  const length = parts[1] === "components" ? 4 : 3;
+  const key = parts.slice(0, length).join("/");
+  return entries.has(key) ? key : null;
+}
+
+function compilePathGlob(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      const trailing = source.endsWith("/") && i + 2 === pattern.length;
+      source = trailing ? `${source.slice(0, -1)}(?:/.*)?` : `${source}.*`;
+      i += 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function resolvePointer(root, ref) {
+  let current = root;
+  for (const part of ref.slice(2).split("/")) {
+    if (!current || typeof current !== "object") return null;
+    current = current[part.replace(/~1/g, "/").replace(/~0/g, "~")];
+  }
+  return current;
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return []
+    .concat(value)
+    .flatMap((entry) => String(entry).split(","))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function escapePointer(value) {
+  return String(value).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
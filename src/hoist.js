@@ -0,0 +1,254 @@
+import { dereferenceSwagger2 } from "./openapi3ToSwagger2.js";
+
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+const PROBE_KEY = "x-hoist-names";
+
+export function collectDefinitionNames(spec, options = {}) {
+  const names = new Map();
+  if (!spec || typeof spec !== "object") return names;
+  const definitions = schemaSection(spec);
+  if (!definitions || typeof definitions !== "object") return names;
+  const prefix = spec.openapi ? "#/components/schemas/" : "#/definitions/";
+  const probes = {};
+  for (const name in definitions) {
+    probes[name] = { $ref: `${prefix}${escapePointer(name)}` };
+  }
+  const expanded = dereferenceSwagger2(
+    { ...JSON.parse(JSON.stringify(spec)), [PROBE_KEY]: probes },
+    { dropDefinitions: false, keepCycles: Boolean(options && options.keepCycles) }
+  );
+  for (const name in expanded[PROBE_KEY]) {
+    const key = stableStringify(expanded[PROBE_KEY][name]);
+    if (isHoistable(expanded[PROBE_KEY][name]) && !names.has(key)) names.set(key, name);
+  }
+  return names;
+}
+
+export function hoistSchemas(spec, options = {}) {
+  if (!spec || typeof spec !== "object") return spec;
+  const diagnostics = (options && options.diagnostics) || null;
+  const names = (options && options.names) || new Map();
+  const openapi = Boolean(spec.openapi);
+  const prefix = openapi ? "#/components/schemas/" : "#/definitions/";
+  if (openapi) {
+    spec.components = spec.components || {};
+    spec.components.schemas = spec.components.schemas || {};
+  } else {
+    spec.definitions = spec.definitions || {};
+  }
+  const definitions = schemaSection(spec);
+  const byKey = new Map();
+  for (const name in definitions) {
+    const key = stableStringify(definitions[name]);
+    if (!byKey.has(key)) byKey.set(key, name);
+  }
+
+  const register = (schema, preferred, pointer) => {
+    let name = preferred;
+    for (let suffix = 2; Object.prototype.hasOwnProperty.call(definitions, name); suffix += 1) {
+      name = `${preferred}${suffix}`;
+    }
+    definitions[name] = schema;
+    if (diagnostics && pointer) {
+      diagnostics.add({
+        code: "hoist-definition-added",
+        severity: "info",
+        stage: "hoist",
+        targetPointer: `${prefix}${escapePointer(name)}`,
+        message: `Moved the inline schema at ${pointer} into ${prefix}${escapePointer(name)}.`,
+      });
+    }
+    return name;
+  };
+
+  const visit = (schema, name, pointer, role) => {
+    if (!schema || typeof schema !== "object" || Array.isArray(schema) || typeof schema.$ref === "string") {
+      return schema;
+    }
+    if (!isHoistable(schema)) {
+      visitChildren(schema, name, pointer, role);
+      return schema;
+    }
+    const key = stableStringify(schema);
+    let target = byKey.get(key) || byKey.get(`${role} ${key}`);
+    if (!target) {
+      const known = names.get(key);
+      const scope = known || !role ? "" : `${role} `;
+      const preferred = known || (schema.title && toTypeName(schema.title)) || name;
+      target = register(schema, preferred, known ? null : pointer);
+      byKey.set(`${scope}${key}`, target);
+      visitChildren(schema, target, pointer, known ? null : role);
+      byKey.set(`${scope}${stableStringify(schema)}`, target);
+    }
+    return { $ref: `${prefix}${escapePointer(target)}` };
+  };
+
+  const visitChildren = (schema, name, pointer, role) => {
+    if (schema.properties && typeof schema.properties === "object") {
+      for (const property in schema.properties) {
+        schema.properties[property] = visit(
+          schema.properties[property],
+          `${name}${toTypeName(property)}`,
+          `${pointer}/properties/${escapePointer(property)}`,
+          role
+        );
+      }
+    }
+    if (schema.items && typeof schema.items === "object" && !Array.isArray(schema.items)) {
+      schema.items = visit(schema.items, `${name}Item`, `${pointer}/items`, role);
+    }
+    if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+      schema.additionalProperties = visit(
+        schema.additionalProperties,
+        `${name}Value`,
+        `${pointer}/additionalProperties`,
+        role
+      );
+    }
+    if (Array.isArray(schema.allOf)) {
+      schema.allOf.forEach((member, index) => {
+        if (member && typeof member === "object" && typeof member.$ref !== "string") {
+          visitChildren(member, name, `${pointer}/allOf/${index}`, role);
+        }
+      });
+    }
+  };
+
+  Object.keys(definitions).forEach((name) => {
+    visitChildren(definitions[name], name, `${prefix}${escapePointer(name)}`, null);
+    const key = stableStringify(definitions[name]);
+    if (!byKey.has(key)) byKey.set(key, name);
+  });
+  forEachSchemaRoot(spec, (owner, key, name, pointer, role) => {
+    owner[key] = visit(owner[key], name, pointer, role);
+  });
+
+  if (!Object.keys(definitions).length) {
+    if (openapi) {
+      delete spec.components.schemas;
+      if (!Object.keys(spec.components).length) delete spec.components;
+    } else {
+      delete spec.definitions;
+    }
+  }
+  return spec;
+}
+
+function forEachSchemaRoot(spec, callback) {
+  const openapi = Boolean(spec.openapi);
+  const visitParameters = (parameters, base, pointer) => {
+    if (!Array.isArray(parameters)) return;
+    parameters.forEach((parameter, index) => {
+      if (!parameter || typeof parameter !== "object" || !parameter.schema) return;
+      const name = openapi || parameter.in !== "body" ? `${base}${toTypeName(parameter.name || "")}` : `${base}Body`;
+      callback(parameter, "schema", name, `${pointer}/${index}/schema`, "request");
+    });
+  };
+  const visitContent = (content, name, pointer, role) => {
+    if (!content || typeof content !== "object") return;
+    for (const mediaType in content) {
+      if (content[mediaType] && content[mediaType].schema) {
+        callback(content[mediaType], "schema", name, `${pointer}/${escapePointer(mediaType)}/schema`, role);
+      }
+    }
+  };
+  const visitResponse = (response, name, pointer) => {
+    if (!response || typeof response !== "object") return;
+    if (openapi) {
+      visitContent(response.content, name, `${pointer}/content`, "response");
+    } else if (response.schema) {
+      callback(response, "schema", name, `${pointer}/schema`, "response");
+    }
+  };
+
+  const paths = spec.paths && typeof spec.paths === "object" ? spec.paths : {};
+  for (const path in paths) {
+    const pathItem = paths[path];
+    if (!pathItem || typeof pathItem !== "object") continue;
+    const pathPointer = `#/paths/${escapePointer(path)}`;
+    visitParameters(pathItem.parameters, toTypeName(path), `${pathPointer}/parameters`);
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation || typeof operation !== "object") continue;
+      const base = toTypeName(operation.operationId || `${method} ${path}`);
+      const pointer = `${pathPointer}/${method}`;
+      visitParameters(operation.parameters, base, `${pointer}/parameters`);
+      if (operation.requestBody && typeof operation.requestBody === "object") {
+        visitContent(operation.requestBody.content, `${base}Body`, `${pointer}/requestBody/content`, "request");
+      }
+      const responses = operation.responses && typeof operation.responses === "object" ? operation.responses : {};
+      const primary = Object.keys(responses).find((code) => /^2/.test(code));
+      for (const code in responses) {
+        const name = code === primary ? `${base}Response` : `${base}${code === "default" ? "Default" : code}Response`;
+        visitResponse(responses[code], name, `${pointer}/responses/${escapePointer(code)}`);
+      }
+    }
+  }
+
+  const sections = openapi ? spec.components || {} : spec;
+  const sectionPointer = openapi ? "#/components" : "#";
+  for (const name in sections.parameters || {}) {
+    const parameter = sections.parameters[name];
+    if (parameter && typeof parameter === "object" && parameter.schema) {
+      const pointer = `${sectionPointer}/parameters/${escapePointer(name)}/schema`;
+      callback(parameter, "schema", toTypeName(name), pointer, "request");
+    }
+  }
+  for (const name in sections.responses || {}) {
+    visitResponse(
+      sections.responses[name],
+      `${toTypeName(name)}Response`,
+      `${sectionPointer}/responses/${escapePointer(name)}`
+    );
+  }
+  if (openapi) {
+    for (const name in sections.requestBodies || {}) {
+      const requestBody = sections.requestBodies[name];
+      visitContent(
+        requestBody && requestBody.content,
+        `${toTypeName(name)}Body`,
+        `${sectionPointer}/requestBodies/${escapePointer(name)}/content`,
+        "request"
+      );
+    }
+  }
+}
+
+function isHoistable(schema) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema) || typeof schema.$ref === "string") {
+    return false;
+  }
+  if (Array.isArray(schema.enum)) {
+    return schema.enum.length > 1 && schema.enum.every((value) => typeof value === "string");
+  }
+  const properties = schema.properties && typeof schema.properties === "object" ? Object.keys(schema.properties) : [];
+  return properties.length > 0 || (Array.isArray(schema.allOf) && schema.allOf.length > 0);
+}
+
+function schemaSection(spec) {
+  if (spec.openapi) return spec.components && spec.components.schemas;
+  return spec.definitions;
+}
+
+function toTypeName(value) {
+  const words = String(value)
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+  const name = words.map((word) => word[0].toUpperCase() + word.slice(1)).join("");
+  if (!name) return "Schema";
+  return /^[0-9]/.test(name) ? `Schema${name}` : name;
+}
+
+function stableStringify(value) {
+  if (!value || typeof value !== "object") return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  return `{${Object.keys(value)
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+    .join(",")}}`;
+}
+
+function escapePointer(value) {
+  return String(value).replace(/~/g, "~0").replace(/\//g, "~1");
+}
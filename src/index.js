@@ -1,91 +1,127 @@
-import RefParserModule from "@apidevtools/json-schema-ref-parser";
-import YamlModule from "js-yaml";
-import { convertOpenapi3ToSwagger2, dereferenceSwagger2, sanitizeSwagger2 } from "./openapi3ToSwagger2.js";
-
-const RefParser = RefParserModule.default ?? RefParserModule;
-const Yaml = YamlModule.default ?? YamlModule;
-
-const DEFAULT_TIMEOUT_MS = 15000;
-const MAX_TIMEOUT_MS = 30000;
-const MAX_SPEC_BYTES = 5 * 1024 * 1024;
-const USER_AGENT = "openapi-31-to-20-worker";
-
-const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
-
-class SpecTooLargeError extends Error {
+import {
+  BlockedUrlError,
+  BundleTooLargeError,
+  ConversionError,
+  InvalidDocumentError,
+  InvalidInputError,
+  ParseError,
+  RefDepthError,
+  ServerSelectionError,
+  SpecTooLargeError,
+  TooManyRefsError,
+  UnknownProfileError,
+  UnsupportedTargetError,
+  convertDocument,
+  fetchSpecSource,
+  normalizeTarget,
+  readTextWithLimit,
+  serializeSpec,
+} from "./convert.js";
+import { buildCacheKey, createResultCache } from "./cache.js";
+import { loadConfig } from "./config.js";
+import { normalizeOperationIdMode } from "./operationIds.js";
+import { DEFAULT_PROFILE, SANITIZE_PROFILES, isSanitizeProfile } from "./profiles.js";
+import { renderReportHtml } from "./report.js";
+
+const CONVERT_PATHS = new Set(["/", "/convert", "/report"]);
+const FORM_SPEC_FIELDS = ["spec", "file"];
+const UNCACHED_PARAMS = ["debug", "nocache", "timeout"];
+const OPERATION_FILTER_PARAMS = [
+  "includeTags",
+  "excludeTags",
+  "paths",
+  "methods",
+  "includeOperationIds",
+  "excludeOperationIds",
+];
+const UPSTREAM_AUTHORIZATION_HEADER = "x-upstream-authorization";
+const UPSTREAM_HEADER_PREFIX = "x-upstream-header-";
+const UNFORWARDED_HEADERS = new Set([
+  "host",
+  "connection",
+  "content-length",
+  "keep-alive",
+  "proxy-authorization",
+  "te",
+  "trailer",
+  "transfer-encoding",
+  "upgrade",
+]);
+
+class InvalidRequestBodyError extends Error {
   constructor(message) {
     super(message);
-    this.name = "SpecTooLargeError";
-  }
-}
-
-const UNSUPPORTED_JSON_SCHEMA_KEYS = [
-  "$schema",
-  "$id",
-  "anchor",
-  "defs",
-  "$defs",
-  "if",
-  "then",
-  "else",
-  "dependentSchemas",
-  "dependentRequired",
-  "unevaluatedItems",
-  "unevaluatedProperties",
-  "propertyNames",
-  "patternProperties",
-  "contains",
-  "minContains",
-  "maxContains",
-  "prefixItems",
-  "contentEncoding",
-  "contentMediaType",
-  "contentSchema",
-  "examples",
-];
+    this.name = "InvalidRequestBodyError";
+  }
+}
 
 export default {
-  async fetch(request) {
-    const requestStartedAt = Date.now();
-    if (request.method === "OPTIONS") {
-      return respond(
-        requestStartedAt,
-        null,
-        new Response(null, { status: 204, headers: corsHeaders() }),
-        "options"
-      );
-    }
-
-    if (request.method !== "GET") {
-      return respond(
-        requestStartedAt,
-        null,
-        errorResponse(405, "method_not_allowed", "Only GET is supported.")
-      );
-    }
+  async fetch(request, env) {
+    const config = loadConfig(env);
+    const response = await handleRequest(request, config);
+    return applyCors(response, request.headers.get("origin"), config.corsOrigins);
+  },
+};
 
-    const requestUrl = new URL(request.url);
-    const debug = parseBoolean(requestUrl.searchParams.get("debug"));
-    const diagnostics = parseBoolean(requestUrl.searchParams.get("diagnostics"));
-    const wantsTimings = debug || diagnostics;
-    const timings = {};
-    const log = createLogger(makeRequestId(), debug);
-    log.info("request_start", request.method, requestUrl.pathname, requestUrl.search);
+async function handleRequest(request, config) {
+  const requestStartedAt = Date.now();
+  if (request.method === "OPTIONS") {
+    return respond(
+      requestStartedAt,
+      null,
+      new Response(null, {
+        status: 204,
+        headers: {
+          ...corsHeaders(),
+          "access-control-allow-headers": allowedRequestHeaders(request.headers.get("access-control-request-headers")),
+        },
+      }),
+      "options"
+    );
+  }
+
+  if (request.method !== "GET" && request.method !== "POST") {
+    return respond(
+      requestStartedAt,
+      null,
+      errorResponse(405, "method_not_allowed", "Only GET and POST are supported.")
+    );
+  }
+
+  const requestUrl = new URL(request.url);
+  const debug = parseBoolean(requestUrl.searchParams.get("debug"));
+  const diagnostics = parseBoolean(requestUrl.searchParams.get("diagnostics"));
+  const wantsTimings = debug || diagnostics;
+  const timings = {};
+  const upstreamHeaders = readUpstreamHeaders(request.headers);
+  const log = createLogger(makeRequestId(), debug, upstreamSecrets(upstreamHeaders));
+  log.info("request_start", request.method, requestUrl.pathname, requestUrl.search);
+
+  const isPost = request.method === "POST";
+  const isReport = requestUrl.pathname === "/report";
+  if (isPost && !CONVERT_PATHS.has(requestUrl.pathname)) {
+    return respond(
+      requestStartedAt,
+      log,
+      errorResponse(404, "not_found", "POST is only supported on /, /convert and /report.")
+    );
+  }
 
-    if (requestUrl.pathname === "/robots.txt") {
-      return respond(requestStartedAt, log, robotsResponse(requestUrl), "robots", timings, wantsTimings);
-    }
+  if (!isPost && requestUrl.pathname === "/robots.txt") {
+    return respond(requestStartedAt, log, robotsResponse(requestUrl), "robots", timings, wantsTimings);
+  }
 
-    if (requestUrl.pathname === "/sitemap.xml") {
-      return respond(requestStartedAt, log, sitemapResponse(requestUrl), "sitemap", timings, wantsTimings);
-    }
+  if (!isPost && requestUrl.pathname === "/sitemap.xml") {
+    return respond(requestStartedAt, log, sitemapResponse(requestUrl), "sitemap", timings, wantsTimings);
+  }
 
-    const sourceUrl = requestUrl.searchParams.get("url");
-    if (!sourceUrl) {
-      return respond(requestStartedAt, log, usageResponse(requestUrl), "usage", timings, wantsTimings);
-    }
+  const sourceUrl = requestUrl.searchParams.get("url");
+  if (!sourceUrl && !isPost) {
+    return respond(requestStartedAt, log, usageResponse(requestUrl, config), "usage", timings, wantsTimings);
+  }
 
-    let parsedSource;
+  let parsedSource = null;
+  if (sourceUrl) {
     try {
       parsedSource = new URL(sourceUrl);
     } catch (error) {
@@ -103,134 +139,282 @@ export default {
         errorResponse(400, "invalid_url", "Only http and https URLs are supported.")
       );
     }
-
-    const format = normalizeFormat(requestUrl.searchParams.get("format"));
-    const pretty = parseBoolean(requestUrl.searchParams.get("pretty"));
-    const strict = parseBoolean(requestUrl.searchParams.get("strict"), true);
-    const deref = parseBoolean(requestUrl.searchParams.get("deref"), true);
-    const timeoutMs = clampTimeoutMs(requestUrl.searchParams.get("timeout"));
-
-    let bundledSpec;
-    let usedBundle = false;
-    try {
-      const loadStartedAt = Date.now();
-      log.info("spec_load_start", parsedSource.toString());
-      const loaded = await loadSpec(parsedSource.toString(), timeoutMs, log, timings);
-      bundledSpec = loaded.spec;
-      usedBundle = loaded.usedBundle;
-      log.info("spec_load_done", `${Date.now() - loadStartedAt}ms`, usedBundle ? "bundled" : "direct");
-    } catch (error) {
-      log.error("spec_load_failed", error);
-      if (error instanceof SpecTooLargeError) {
+  }
+  const sourceLabel = isPost ? "request-body" : parsedSource.toString();
+
+  const format = normalizeFormat(requestUrl.searchParams.get("format"));
+  const reportFormat = requestUrl.searchParams.get("format") === "html" ? "html" : "json";
+  const pretty = parseBoolean(requestUrl.searchParams.get("pretty"));
+  const strict = parseBoolean(requestUrl.searchParams.get("strict"), config.defaultStrict);
+  const profile = requestUrl.searchParams.get("profile") || undefined;
+  const deref = parseDeref(requestUrl.searchParams.get("deref"), config.defaultDeref);
+  const prune = parseBoolean(requestUrl.searchParams.get("prune"));
+  const hoist = parseBoolean(requestUrl.searchParams.get("hoist"));
+  const operationIds = normalizeOperationIdMode(requestUrl.searchParams.get("operationIds"));
+  const timeoutMs = clampTimeoutMs(requestUrl.searchParams.get("timeout"), config);
+  const server = requestUrl.searchParams.get("server");
+  const serverVariables = parseServerVariables(requestUrl.searchParams);
+  const webhooks = normalizeWebhooksMode(requestUrl.searchParams.get("webhooks"));
+  const webhookPrefix = requestUrl.searchParams.get("webhookPrefix") || undefined;
+  const target = normalizeTarget(requestUrl.searchParams.get("target"));
+  const validate = parseBoolean(requestUrl.searchParams.get("validate"));
+  const lenient = parseBoolean(requestUrl.searchParams.get("lenient"));
+  const nocache = parseBoolean(requestUrl.searchParams.get("nocache"));
+  const operationFilter = parseOperationFilter(requestUrl.searchParams);
+  if (!target) {
+    return respond(
+      requestStartedAt,
+      log,
+      errorResponse(400, "invalid_target", "target must be one of 2.0, 3.0 or 3.1.")
+    );
+  }
+  if (profile && !isSanitizeProfile(profile)) {
+    return respond(
+      requestStartedAt,
+      log,
+      errorResponse(400, "invalid_profile", `profile must be one of ${Object.keys(SANITIZE_PROFILES).join(", ")}.`)
+    );
+  }
+  if (profile && !strict && profile.trim().toLowerCase() !== DEFAULT_PROFILE) {
+    return respond(
+      requestStartedAt,
+      log,
+      errorResponse(400, "invalid_profile", "profile only applies in strict mode; drop strict=0 or the profile.")
+    );
+  }
+
+  const fetchSettings = {
+    timeoutMs,
+    urlPolicy: config.urlPolicy,
+    maxSpecBytes: config.maxSpecBytes,
+    maxBundleBytes: config.maxBundleBytes,
+    maxExternalRefs: config.maxExternalRefs,
+    maxRefDepth: config.maxRefDepth,
+    userAgent: config.userAgent,
+    upstreamHeaders,
+    upstreamHeaderHosts: config.upstreamHeaderHosts,
+  };
+  const privateUpstream = Object.keys(upstreamHeaders).length > 0;
+  const cache = !isPost && !privateUpstream && !nocache && config.cacheTtlSeconds > 0
+    ? createResultCache(config.cacheTtlSeconds)
+    : null;
+  const cacheKey = cache ? buildCacheKey(requestUrl, UNCACHED_PARAMS) : null;
+
+  let source = null;
+  let result;
+  try {
+    let input;
+    if (isPost) {
+      input = await readSpecFromBody(request, config.maxSpecBytes, log, timings);
+    } else {
+      const cached = cache ? await cache.get(cacheKey).catch(() => null) : null;
+      source = await fetchSpecSource(parsedSource, {
+        ...fetchSettings,
+        conditional: cached ? cached.validators : undefined,
+        log,
+        timings,
+      });
+      if (source.notModified) {
+        log.info("cache_hit", cacheKey);
         return respond(
           requestStartedAt,
           log,
-          errorResponse(413, "spec_too_large", "OpenAPI document is too large.")
+          conditionalResponse(request, cachedResponse(cached)),
+          "cache_hit",
+          timings,
+          wantsTimings
         );
       }
-      return respond(
-        requestStartedAt,
-        log,
-        errorResponse(
-          502,
-          "fetch_failed",
-          "Failed to fetch or parse the OpenAPI document.",
-          String(error && error.message ? error.message : error)
-        )
-      );
-    }
+      input = source.text;
+    }
+    result = await convertDocument(input, {
+      ...fetchSettings,
+      baseUrl: parsedSource ? parsedSource.toString() : undefined,
+      source: sourceLabel,
+      target,
+      strict,
+      profile,
+      deref,
+      prune,
+      hoist,
+      operationIds,
+      server,
+      serverVariables,
+      webhooks,
+      webhookPrefix,
+      validate,
+      lenient,
+      ...operationFilter,
+      report: isReport,
+      log,
+      debug,
+      timings,
+    });
+  } catch (error) {
+    return respond(
+      requestStartedAt,
+      log,
+      conversionErrorResponse(error, log, isPost),
+      "error",
+      timings,
+      wantsTimings
+    );
+  }
 
-    if (usedBundle && estimateSize(bundledSpec) > MAX_SPEC_BYTES) {
-      log.warn("spec_too_large", "bundled");
-      return respond(
-        requestStartedAt,
-        log,
-        errorResponse(413, "spec_too_large", "OpenAPI document is too large.")
-      );
-    }
+  if (isReport) {
+    const response = await finishResponse(reportResponse(result.report, reportFormat), {
+      cache,
+      cacheKey,
+      source,
+      privateUpstream,
+      etagInput: `${reportFormat}\n${JSON.stringify({ ...result.report, generatedAt: undefined })}`,
+      log,
+    });
+    return respond(requestStartedAt, log, conditionalResponse(request, response), "report", timings, wantsTimings);
+  }
 
-    if (bundledSpec.swagger === "2.0") {
-      const sanitized = sanitizeSwagger2(bundledSpec, { strict, log, debug });
-      const dereferenced = deref ? dereferenceSwagger2(sanitized, { log, debug }) : sanitized;
-      const renderStartedAt = Date.now();
-      const response = renderSpec(finalizeSwaggerSpec(dereferenced), {
-        format,
-        pretty,
-        diagnostics,
-        warnings: [],
-        sourceUrl: parsedSource.toString(),
-        log,
-        timings,
-      });
-      timings.renderMs = Date.now() - renderStartedAt;
-      return respond(requestStartedAt, log, response, "pass_through", timings, wantsTimings);
-    }
+  if (result.validation && !result.validation.valid && !diagnostics) {
+    return respond(
+      requestStartedAt,
+      log,
+      errorResponse(
+        422,
+        "invalid_output",
+        `Converted document is not valid ${target === "2.0" ? "Swagger 2.0" : `OpenAPI ${result.spec.openapi}`}.`,
+        result.validation.errors
+      ),
+      "invalid_output",
+      timings,
+      wantsTimings
+    );
+  }
 
-    if (!bundledSpec.openapi) {
-      return respond(
-        requestStartedAt,
-        log,
-        errorResponse(400, "missing_openapi", "Input does not look like OpenAPI 3.x.")
-      );
-    }
+  const renderStartedAt = Date.now();
+  const response = renderSpec(result, {
+    format,
+    pretty,
+    diagnostics,
+    sourceUrl: sourceLabel,
+    log,
+  });
+  timings.renderMs = Date.now() - renderStartedAt;
+  const finished = await finishResponse(response, {
+    cache,
+    cacheKey,
+    source,
+    privateUpstream,
+    etagInput: serializeSpec(result, { format, pretty, diagnostics, source: sourceLabel, stable: true }),
+    log,
+  });
+  return respond(requestStartedAt, log, conditionalResponse(request, finished), "ok", timings, wantsTimings);
+}
 
-    const warnings = diagnostics ? [] : null;
-    const originalVersion = bundledSpec.openapi;
-    const normalizeStartedAt = Date.now();
-    log.debug("normalize_start");
-    const normalized = normalizeOpenapi31(bundledSpec, warnings, diagnostics, log, debug);
-    timings.normalizeMs = Date.now() - normalizeStartedAt;
-    log.debug("normalize_done", `${Date.now() - normalizeStartedAt}ms`);
+function conversionErrorResponse(error, log, isPost) {
+  log.error("request_failed", error);
+  if (error instanceof SpecTooLargeError) {
+    return errorResponse(413, "spec_too_large", "OpenAPI document is too large.");
+  }
+  if (error instanceof BundleTooLargeError) {
+    return errorResponse(413, "bundle_too_large", error.message);
+  }
+  if (error instanceof TooManyRefsError) {
+    return errorResponse(422, "too_many_refs", error.message);
+  }
+  if (error instanceof RefDepthError) {
+    return errorResponse(422, "ref_depth_exceeded", error.message);
+  }
+  if (error instanceof BlockedUrlError) {
+    return errorResponse(400, "blocked_url", error.message);
+  }
+  if (error instanceof InvalidRequestBodyError) {
+    return errorResponse(400, "invalid_body", error.message);
+  }
+  if (isPost && error instanceof ParseError) {
+    return errorResponse(
+      400,
+      "parse_failed",
+      "Failed to parse the OpenAPI document in the request body.",
+      String(error.message)
+    );
+  }
+  if (error instanceof InvalidDocumentError) {
+    return errorResponse(400, "missing_openapi", error.message);
+  }
+  if (error instanceof InvalidInputError) {
+    return errorResponse(400, "invalid_input", error.message, error.errors);
+  }
+  if (error instanceof UnsupportedTargetError) {
+    return errorResponse(400, "unsupported_target", error.message);
+  }
+  if (error instanceof UnknownProfileError) {
+    return errorResponse(400, "invalid_profile", error.message);
+  }
+  if (error instanceof ServerSelectionError) {
+    return errorResponse(400, "invalid_server", error.message);
+  }
+  if (error instanceof ConversionError) {
+    return errorResponse(422, "conversion_failed", "Failed to convert the OpenAPI document.", error.message);
+  }
+  return errorResponse(
+    502,
+    "fetch_failed",
+    "Failed to fetch or parse the OpenAPI document.",
+    String(error && error.message ? error.message : error)
+  );
+}
 
-    let swaggerSpec;
-    try {
-      const convertStartedAt = Date.now();
-      log.debug("convert_start");
-      swaggerSpec = convertOpenapi3ToSwagger2(normalized, { log, debug, strict });
-      timings.convertMs = Date.now() - convertStartedAt;
-      log.debug("convert_done", `${Date.now() - convertStartedAt}ms`);
-    } catch (error) {
-      log.error("conversion_failed", error);
-      return respond(
-        requestStartedAt,
-        log,
-        errorResponse(
-          422,
-          "conversion_failed",
-          "Failed to convert the OpenAPI document.",
-          String(error && error.message ? error.message : error)
-        )
-      );
-    }
-    const dereferenced = deref ? dereferenceSwagger2(swaggerSpec, { log, debug }) : swaggerSpec;
-    const finalizedSpec = finalizeSwaggerSpec(dereferenced);
-
-    const renderStartedAt = Date.now();
-    const response = renderSpec(finalizedSpec, {
-      format,
-      pretty,
-      diagnostics,
-      warnings: warnings || [],
-      sourceUrl: parsedSource.toString(),
-      originalVersion,
-      log,
-      timings,
-    });
-    timings.renderMs = Date.now() - renderStartedAt;
-    return respond(requestStartedAt, log, response, "ok", timings, wantsTimings);
-  },
-};
+function applyCors(response, origin, allowedOrigins) {
+  if (allowedOrigins.indexOf("*") >= 0) {
+    return response;
+  }
+  const headers = new Headers(response.headers);
+  if (origin && allowedOrigins.indexOf(origin) >= 0) {
+    headers.set("access-control-allow-origin", origin);
+  } else {
+    headers.delete("access-control-allow-origin");
+  }
+  headers.append("vary", "Origin");
+  return new Response(response.body, {
+    status: response.status,
+    headers,
+  });
+}
 
 function corsHeaders() {
   return {
     "access-control-allow-origin": "*",
-    "access-control-allow-methods": "GET, OPTIONS",
-    "access-control-allow-headers": "content-type",
+    "access-control-allow-methods": "GET, POST, OPTIONS",
+    "access-control-allow-headers": `content-type, ${UPSTREAM_AUTHORIZATION_HEADER}`,
   };
 }
 
-function usageResponse(requestUrl) {
-  return new Response(renderLandingPage(requestUrl), {
+function allowedRequestHeaders(requested) {
+  const names = ["content-type", UPSTREAM_AUTHORIZATION_HEADER];
+  String(requested || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => name.startsWith(UPSTREAM_HEADER_PREFIX) && names.indexOf(name) < 0)
+    .forEach((name) => names.push(name));
+  return names.join(", ");
+}
+
+function readUpstreamHeaders(headers) {
+  const forwarded = {};
+  for (const [name, value] of headers) {
+    if (name === UPSTREAM_AUTHORIZATION_HEADER) {
+      forwarded.authorization = value;
+    } else if (name.startsWith(UPSTREAM_HEADER_PREFIX)) {
+      const target = name.slice(UPSTREAM_HEADER_PREFIX.length);
+      if (target && !UNFORWARDED_HEADERS.has(target)) {
+        forwarded[target] = value;
+      }
+    }
+  }
+  return forwarded;
+}
+
+function usageResponse(requestUrl, config) {
+  return new Response(renderLandingPage(requestUrl, config), {
     status: 200,
     headers: {
       ...corsHeaders(),
@@ -280,7 +464,9 @@ function sitemapResponse(requestUrl) {
   });
 }
 
-function renderLandingPage(requestUrl) {
+function renderLandingPage(requestUrl, config) {
+  const defaultTimeout = config ? config.defaultTimeoutMs / 1000 : 15;
+  const maxTimeout = config ? config.maxTimeoutMs / 1000 : 30;
   const origin = requestUrl ? requestUrl.origin : "https://xxx.com";
   const canonical = requestUrl ? `${origin}${requestUrl.pathname}` : `${origin}/`;
   const title = "OpenAPI 3.1 转 OpenAPI 2.0 在线转换器";
@@ -338,17 +524,93 @@ function renderLandingPage(requestUrl) {
         <li><code>format=json|yaml</code> 输出格式（默认 json）</li>
         <li><code>pretty=1</code> JSON 美化输出</li>
         <li><code>diagnostics=1</code> 返回转换诊断信息</li>
-        <li><code>timeout=15</code> 上游拉取超时（秒，最大 30）</li>
+        <li><code>timeout=${defaultTimeout}</code> 上游拉取超时（秒，最大 ${maxTimeout}）</li>
         <li><code>strict=0</code> 保留扩展字段（默认严格 Swagger 2.0）</li>
-        <li><code>deref=0</code> 保留 $ref 引用（默认内联）</li>
+        <li><code>profile=aws-apigateway|azure-autorest|google-endpoints|power-platform</code> 按目标工具决定严格模式移除、保留或转换哪些关键字与扩展字段（默认 default；不能与 <code>strict=0</code> 同用）</li>
+        <li><code>deref=0</code> 保留 $ref 引用（默认内联）；<code>deref=cycles</code> 内联无环引用，递归类型保留为 $ref；discriminator 基类及其子类型始终保留为 $ref</li>
+        <li><code>operationIds=generate|fix|keep</code> 为缺失的操作生成 operationId 并为重复项加后缀；<code>fix</code> 同时规范为 camelCase（默认 keep）</li>
+        <li><code>hoist=1</code> 将内联的对象/枚举 schema 提取为具名定义（按 operationId 与位置或 title 命名，相同结构合并）</li>
+        <li><code>prune=1</code> 配合 <code>deref=0</code> 删除任何路径都不引用的定义</li>
+        <li><code>server=1</code> 按下标或 URL 片段选择生成 host/basePath 的 server（默认第一个）</li>
+        <li><code>serverVar.name=value</code> 覆盖 server 变量（需符合 enum）</li>
+        <li><code>webhooks=paths|extension|drop</code> webhooks/callbacks 输出方式（默认 extension）</li>
+        <li><code>webhookPrefix=/webhooks</code> <code>webhooks=paths</code> 时的路径前缀</li>
+        <li><code>target=3.0|3.1</code> 输出 OpenAPI 3.0.3（3.1 输入降级）或将 Swagger 2.0 输入升级为 3.0/3.1（默认 2.0）</li>
+        <li><code>validate=1</code> 校验输出是否为合法 Swagger 2.0 或 OpenAPI 3.x（按 target，失败返回 422；配合 diagnostics=1 时写入诊断）</li>
+        <li><code>lenient=1</code> 输入文档不符合 OpenAPI 3.0/3.1 规范时仍然转换（问题写入诊断，默认返回 400）</li>
+        <li><code>includeTags=a,b</code> / <code>excludeTags=</code> / <code>paths=/pets/**</code> / <code>methods=get,post</code> / <code>includeOperationIds=</code> / <code>excludeOperationIds=</code> / <code>excludeDeprecated=1</code> 只转换匹配的操作，并移除不再使用的定义、标签和安全定义（按 operationId 过滤请用 <code>includeOperationIds</code>/<code>excludeOperationIds</code>，<code>operationIds</code> 用于生成 operationId）</li>
+        <li><code>nocache=1</code> 跳过缓存，重新拉取并转换（默认按上游 ETag/Last-Modified 缓存结果）</li>
         <li><code>debug=1</code> 控制台打印耗时日志</li>
       </ul>
+      <p>访问 <code>/report?url=...</code>（或 <code>POST /report</code>）可在不下载转换结果的情况下查看会丢失的特性报告，<code>format=html</code> 输出 HTML。</p>
+      <p>上游文档需要鉴权时，用请求头 <code>X-Upstream-Authorization</code>（以及 <code>X-Upstream-Header-*</code>）传递凭据，仅转发给同源的文档与 $ref。</p>
+      <p>也可以直接 <code>POST /</code> 或 <code>POST /convert</code> 上传 JSON/YAML 文档（原始请求体、<code>multipart/form-data</code> 的 <code>file</code>/<code>spec</code> 字段或表单字段 <code>spec</code>），查询参数同上。</p>
       <footer>Swagger 2.0 即 OpenAPI 2.0。该服务以 URL 参数方式在线转换。</footer>
     </main>
   </body>
 </html>`;
 }
 
+async function finishResponse(response, options) {
+  const { cache, cacheKey, source, privateUpstream, etagInput, log } = options;
+  const body = await response.text();
+  const headers = new Headers(response.headers);
+  if (source) {
+    headers.set("etag", await computeEtag(etagInput === undefined ? body : etagInput));
+    headers.set("cache-control", privateUpstream ? "private, no-store" : "no-cache");
+  }
+  const cacheable = cache && source && (source.etag || source.lastModified);
+  headers.set("x-cache", cacheable ? "MISS" : "BYPASS");
+  if (cacheable) {
+    try {
+      await cache.put(cacheKey, {
+        validators: { etag: source.etag, lastModified: source.lastModified },
+        status: response.status,
+        headers: Array.from(headers.entries()),
+        body,
+      });
+    } catch (error) {
+      log.warn("cache_put_failed", String(error && error.message ? error.message : error));
+    }
+  }
+  return new Response(body, { status: response.status, headers });
+}
+
+function cachedResponse(entry) {
+  const headers = new Headers(entry.headers);
+  headers.set("x-cache", "HIT");
+  return new Response(entry.body, { status: entry.status, headers });
+}
+
+function conditionalResponse(request, response) {
+  const etag = response.headers.get("etag");
+  const ifNoneMatch = request.headers.get("if-none-match");
+  if (!etag || !ifNoneMatch) return response;
+  const matches = ifNoneMatch.trim() === "*" || ifNoneMatch.split(",").some((value) => value.trim() === etag);
+  if (!matches) return response;
+  const headers = new Headers(response.headers);
+  headers.delete("content-type");
+  return new Response(null, { status: 304, headers });
+}
+
+async function computeEtag(body) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(body));
+  const hex = Array.from(new Uint8Array(digest).slice(0, 16), (byte) => byte.toString(16).padStart(2, "0")).join("");
+  return `"${hex}"`;
+}
+
+function reportResponse(report, format) {
+  const body = format === "html" ? renderReportHtml(report) : JSON.stringify(report, null, 2);
+  return new Response(body, {
+    status: 200,
+    headers: {
+      ...corsHeaders(),
+      "content-type": format === "html" ? "text/html; charset=utf-8" : "application/json; charset=utf-8",
+      "cache-control": "no-store",
+    },
+  });
+}
+
 function errorResponse(status, code, message, details) {
   const payload = { error: code, message };
   if (details) {
@@ -371,541 +633,96 @@ function normalizeFormat(value) {
   return normalized === "yaml" ? "yaml" : "json";
 }
 
-function parseBoolean(value, fallback = false) {
-  if (!value) return fallback;
-  return value === "1" || value.toLowerCase() === "true";
-}
-
-function clampTimeoutMs(value) {
-  if (!value) return DEFAULT_TIMEOUT_MS;
-  const seconds = Number.parseFloat(value);
-  if (!Number.isFinite(seconds) || seconds <= 0) return DEFAULT_TIMEOUT_MS;
-  return Math.min(seconds * 1000, MAX_TIMEOUT_MS);
+function normalizeWebhooksMode(value) {
+  if (!value) return "extension";
+  const normalized = value.toLowerCase();
+  return normalized === "paths" || normalized === "drop" ? normalized : "extension";
 }
 
-async function loadSpec(sourceUrl, timeoutMs, log, timings) {
-  const fetchStartedAt = Date.now();
-  const text = await fetchSpecText(sourceUrl, timeoutMs, log);
-  if (log) {
-    log.debug("fetch_text_done", `${Date.now() - fetchStartedAt}ms`, `bytes=${text.length}`);
-  }
-  if (timings) {
-    timings.fetchMs = Date.now() - fetchStartedAt;
-  }
-  if (text.length > MAX_SPEC_BYTES) {
-    throw new SpecTooLargeError("OpenAPI document is too large.");
-  }
-
-  const parseStartedAt = Date.now();
-  const parsed = parseSpecText(text);
-  if (log) {
-    log.debug("parse_done", `${Date.now() - parseStartedAt}ms`);
-  }
-  if (timings) {
-    timings.parseMs = Date.now() - parseStartedAt;
-    timings.specBytes = text.length;
-  }
-  if (!parsed || typeof parsed !== "object") {
-    throw new Error("OpenAPI document is not an object.");
-  }
-
-  const externalRef = findExternalRef(parsed);
-  if (!externalRef) {
-    if (log) {
-      log.debug("external_ref", "none");
-    }
-    return { spec: parsed, usedBundle: false };
-  }
-
-  if (log) {
-    log.info("external_ref", externalRef);
-  }
-
-  const bundleStartedAt = Date.now();
-  const bundled = await bundleSpec(sourceUrl, parsed, timeoutMs);
-  if (log) {
-    log.info("bundle_done", `${Date.now() - bundleStartedAt}ms`);
-  }
-  if (timings) {
-    timings.bundleMs = Date.now() - bundleStartedAt;
-  }
-  return { spec: bundled, usedBundle: true };
+function parseDeref(value, fallback) {
+  if (value && value.toLowerCase() === "cycles") return "cycles";
+  return parseBoolean(value, fallback);
 }
 
-async function fetchSpecText(sourceUrl, timeoutMs, log) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-
-  try {
-    if (log) {
-      log.debug("fetch_text_start", sourceUrl);
-    }
-    const response = await fetch(sourceUrl, {
-      headers: {
-        "user-agent": USER_AGENT,
-        "accept": "application/json, application/yaml, text/yaml, */*",
-      },
-      signal: controller.signal,
-    });
-
-    if (!response.ok) {
-      throw new Error(`Upstream returned ${response.status}.`);
-    }
-
-    const contentLength = response.headers.get("content-length");
-    if (contentLength && Number(contentLength) > MAX_SPEC_BYTES) {
-      throw new SpecTooLargeError("OpenAPI document is too large.");
-    }
-
-    const text = await response.text();
-    return text;
-  } finally {
-    clearTimeout(timeoutId);
-  }
+function parseBoolean(value, fallback = false) {
+  if (!value) return fallback;
+  return value === "1" || value.toLowerCase() === "true";
 }
 
-function parseSpecText(text) {
-  try {
-    return JSON.parse(text);
-  } catch (error) {
-    try {
-      return Yaml.load(text, { schema: Yaml.JSON_SCHEMA });
-    } catch (yamlError) {
-      return Yaml.load(text);
-    }
-  }
+function parseOperationFilter(searchParams) {
+  const filter = {};
+  OPERATION_FILTER_PARAMS.forEach((name) => {
+    const values = searchParams.getAll(name).filter(Boolean);
+    if (values.length) filter[name] = values;
+  });
+  if (parseBoolean(searchParams.get("excludeDeprecated"))) filter.excludeDeprecated = true;
+  return filter;
 }
 
-function findExternalRef(root) {
-  if (!root || typeof root !== "object") return null;
-  const seen = new WeakSet();
-  const stack = [root];
-
-  while (stack.length > 0) {
-    const node = stack.pop();
-    if (!node || typeof node !== "object") continue;
-    if (seen.has(node)) continue;
-    seen.add(node);
-
-    if (Object.prototype.hasOwnProperty.call(node, "$ref")) {
-      const refValue = node.$ref;
-      if (typeof refValue === "string" && !refValue.startsWith("#")) {
-        return refValue;
-      }
-    }
-
-    if (Array.isArray(node)) {
-      for (let i = node.length - 1; i >= 0; i -= 1) {
-        stack.push(node[i]);
-      }
-    } else {
-      for (const key in node) {
-        stack.push(node[key]);
-      }
+function parseServerVariables(searchParams) {
+  const variables = {};
+  for (const [key, value] of searchParams) {
+    if (key.startsWith("serverVar.") && key.length > "serverVar.".length) {
+      variables[key.slice("serverVar.".length)] = value;
     }
   }
-
-  return null;
+  return variables;
 }
 
-async function bundleSpec(sourceUrl, schema, timeoutMs) {
-  return RefParser.bundle(sourceUrl, schema, {
-    resolve: {
-      file: false,
-      http: {
-        timeout: timeoutMs,
-        headers: {
-          "user-agent": USER_AGENT,
-          "accept": "application/json, application/yaml, text/yaml, */*",
-        },
-      },
-    },
-    mutateInputSchema: true,
-  });
+function clampTimeoutMs(value, config) {
+  if (!value) return config.defaultTimeoutMs;
+  const seconds = Number.parseFloat(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) return config.defaultTimeoutMs;
+  return Math.min(seconds * 1000, config.maxTimeoutMs);
 }
 
-function estimateSize(value) {
-  try {
-    return JSON.stringify(value).length;
-  } catch (error) {
-    return MAX_SPEC_BYTES + 1;
+async function readSpecFromBody(request, maxSpecBytes, log, timings) {
+  const readStartedAt = Date.now();
+  const text = await readRequestBodyText(request, maxSpecBytes);
+  log.debug("read_body_done", `${Date.now() - readStartedAt}ms`, `bytes=${text.length}`);
+  timings.fetchMs = Date.now() - readStartedAt;
+  if (!text.trim()) {
+    throw new InvalidRequestBodyError("Request body is empty.");
   }
+  return text;
 }
 
-function normalizeOpenapi31(spec, warnings, collectWarnings, log, debug) {
-  const openapiVersion = String(spec.openapi || "");
-  const shouldWarn = collectWarnings && Array.isArray(warnings);
-  const is31 = openapiVersion.startsWith("3.1");
-  const shouldLog = Boolean(debug && log && typeof log.debug === "function");
-  let visited = 0;
-
-  if (is31) {
-    spec.openapi = "3.0.3";
-    if (shouldWarn) {
-      warnings.push("Downgraded openapi version 3.1.x to 3.0.3 for conversion.");
-    }
-  }
-
-  if (spec.jsonSchemaDialect) {
-    delete spec.jsonSchemaDialect;
-    if (shouldWarn) {
-      warnings.push("Removed jsonSchemaDialect (not supported in OpenAPI 3.0).");
-    }
-  }
-
-  if (!is31) {
-    if (shouldLog) {
-      log.debug("normalize_skip", `openapi=${openapiVersion || "unknown"}`);
-    }
-    return spec;
-  }
-
-  walkSchemas(
-    spec,
-    (schema, path) => {
-      if (shouldLog) {
-        visited += 1;
-        if (visited % 2000 === 0) {
-          log.debug("normalize_schema_progress", `schemas=${visited}`);
-        }
-      }
-      normalizeSchemaNode(schema, path, warnings, shouldWarn);
-    },
-    { trackPath: shouldWarn }
-  );
-
-  if (shouldLog) {
-    log.debug("normalize_complete", `nodes=${visited}`);
-  }
-  return spec;
-}
-
-function walkSchemas(spec, visitor, options) {
-  if (!spec || typeof spec !== "object") return;
-  const trackPath = Boolean(options && options.trackPath);
-  const seen = new WeakSet();
-  const stack = [];
-
-  const pushSchema = (schema, path) => {
-    if (!schema || typeof schema !== "object") return;
-    if (seen.has(schema)) return;
-    seen.add(schema);
-    stack.push(trackPath ? { schema, path } : { schema });
-  };
-
-  const walkContent = (content, basePath) => {
-    if (!content || typeof content !== "object") return;
-    for (const mediaType in content) {
-      const media = content[mediaType];
-      if (media && media.schema) {
-        pushSchema(media.schema, basePath.concat(mediaType, "schema"));
-      }
-    }
-  };
-
-  const walkParameter = (param, basePath) => {
-    if (!param || typeof param !== "object") return;
-    if (param.schema) {
-      pushSchema(param.schema, basePath.concat("schema"));
-    }
-    if (param.content) {
-      walkContent(param.content, basePath.concat("content"));
-    }
-  };
-
-  const walkParameters = (parameters, basePath) => {
-    if (!Array.isArray(parameters)) return;
-    parameters.forEach((param, index) => {
-      walkParameter(param, basePath.concat("parameters", index));
-    });
-  };
-
-  const walkHeader = (header, basePath) => {
-    if (!header || typeof header !== "object") return;
-    if (header.schema) {
-      pushSchema(header.schema, basePath.concat("schema"));
-    }
-    if (header.content) {
-      walkContent(header.content, basePath.concat("content"));
-    }
-  };
-
-  const walkHeaders = (headers, basePath) => {
-    if (!headers || typeof headers !== "object") return;
-    for (const name in headers) {
-      walkHeader(headers[name], basePath.concat(name));
-    }
-  };
-
-  const walkResponse = (response, basePath) => {
-    if (!response || typeof response !== "object") return;
-    if (response.content) {
-      walkContent(response.content, basePath.concat("content"));
-    }
-    if (response.headers) {
-      walkHeaders(response.headers, basePath.concat("headers"));
-    }
-  };
-
-  const walkResponses = (responses, basePath) => {
-    if (!responses || typeof responses !== "object") return;
-    for (const code in responses) {
-      walkResponse(responses[code], basePath.concat(code));
-    }
-  };
-
-  const walkRequestBody = (requestBody, basePath) => {
-    if (!requestBody || typeof requestBody !== "object") return;
-    if (requestBody.content) {
-      walkContent(requestBody.content, basePath.concat("content"));
-    }
-  };
-
-  const walkCallback = (callback, basePath) => {
-    if (!callback || typeof callback !== "object") return;
-    for (const expr in callback) {
-      walkPathItem(callback[expr], basePath.concat(expr));
-    }
-  };
-
-  const walkCallbacks = (callbacks, basePath) => {
-    if (!callbacks || typeof callbacks !== "object") return;
-    for (const name in callbacks) {
-      walkCallback(callbacks[name], basePath.concat(name));
-    }
-  };
-
-  const walkOperation = (operation, basePath) => {
-    if (!operation || typeof operation !== "object") return;
-    walkParameters(operation.parameters, basePath);
-    if (operation.requestBody) {
-      walkRequestBody(operation.requestBody, basePath.concat("requestBody"));
-    }
-    if (operation.responses) {
-      walkResponses(operation.responses, basePath.concat("responses"));
-    }
-    if (operation.callbacks) {
-      walkCallbacks(operation.callbacks, basePath.concat("callbacks"));
-    }
-  };
-
-  const walkPathItem = (pathItem, basePath) => {
-    if (!pathItem || typeof pathItem !== "object") return;
-    walkParameters(pathItem.parameters, basePath);
-    for (const method of HTTP_METHODS) {
-      if (pathItem[method]) {
-        walkOperation(pathItem[method], basePath.concat(method));
-      }
-    }
-    if (pathItem.callbacks) {
-      walkCallbacks(pathItem.callbacks, basePath.concat("callbacks"));
-    }
-  };
-
-  const walkComponents = (components, basePath) => {
-    if (!components || typeof components !== "object") return;
-    if (components.schemas) {
-      for (const name in components.schemas) {
-        pushSchema(components.schemas[name], basePath.concat("schemas", name));
-      }
-    }
-    if (components.parameters) {
-      for (const name in components.parameters) {
-        walkParameter(components.parameters[name], basePath.concat("parameters", name));
-      }
-    }
-    if (components.requestBodies) {
-      for (const name in components.requestBodies) {
-        walkRequestBody(components.requestBodies[name], basePath.concat("requestBodies", name));
-      }
-    }
-    if (components.responses) {
-      for (const name in components.responses) {
-        walkResponse(components.responses[name], basePath.concat("responses", name));
-      }
-    }
-    if (components.headers) {
-      for (const name in components.headers) {
-        walkHeader(components.headers[name], basePath.concat("headers", name));
-      }
-    }
-    if (components.pathItems) {
-      for (const name in components.pathItems) {
-        walkPathItem(components.pathItems[name], basePath.concat("pathItems", name));
-      }
-    }
-    if (components.callbacks) {
-      for (const name in components.callbacks) {
-        walkCallback(components.callbacks[name], basePath.concat("callbacks", name));
-      }
-    }
-  };
-
-  if (spec.paths) {
-    for (const path in spec.paths) {
-      walkPathItem(spec.paths[path], ["paths", path]);
-    }
-  }
-  if (spec.webhooks) {
-    for (const name in spec.webhooks) {
-      walkPathItem(spec.webhooks[name], ["webhooks", name]);
-    }
-  }
-  if (spec.components) {
-    walkComponents(spec.components, ["components"]);
+async function readRequestBodyText(request, maxSpecBytes) {
+  const contentLength = request.headers.get("content-length");
+  if (contentLength && Number(contentLength) > maxSpecBytes) {
+    throw new SpecTooLargeError("OpenAPI document is too large.");
   }
 
-  while (stack.length > 0) {
-    const current = stack.pop();
-    const schema = current && current.schema;
-    const path = trackPath && current ? current.path : undefined;
-    if (!schema || typeof schema !== "object") continue;
-    visitor(schema, path || []);
-
-    if (schema.allOf) {
-      schema.allOf.forEach((item, index) => {
-        pushSchema(item, (path || []).concat("allOf", index));
-      });
-    }
-    if (schema.anyOf) {
-      schema.anyOf.forEach((item, index) => {
-        pushSchema(item, (path || []).concat("anyOf", index));
-      });
-    }
-    if (schema.oneOf) {
-      schema.oneOf.forEach((item, index) => {
-        pushSchema(item, (path || []).concat("oneOf", index));
-      });
-    }
-    if (schema.not) {
-      pushSchema(schema.not, (path || []).concat("not"));
-    }
-    if (schema.items) {
-      if (Array.isArray(schema.items)) {
-        schema.items.forEach((item, index) => {
-          pushSchema(item, (path || []).concat("items", index));
-        });
-      } else {
-        pushSchema(schema.items, (path || []).concat("items"));
-      }
-    }
-    if (schema.properties && typeof schema.properties === "object") {
-      for (const propName in schema.properties) {
-        pushSchema(schema.properties[propName], (path || []).concat("properties", propName));
-      }
+  const text = await readTextWithLimit(request, maxSpecBytes);
+  const contentType = request.headers.get("content-type") || "";
+  const mediaType = contentType.toLowerCase();
+  if (mediaType.startsWith("multipart/form-data") || mediaType.startsWith("application/x-www-form-urlencoded")) {
+    let form;
+    try {
+      form = await new Response(text, { headers: { "content-type": contentType } }).formData();
+    } catch (error) {
+      throw new InvalidRequestBodyError("Request body is not valid form data.");
     }
-    if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
-      pushSchema(schema.additionalProperties, (path || []).concat("additionalProperties"));
+    const value = pickFormSpec(form);
+    if (value === null) {
+      throw new InvalidRequestBodyError("Form data must include a 'spec' or 'file' field.");
     }
+    return typeof value === "string" ? value : value.text();
   }
+  return text;
 }
 
-function normalizeSchemaNode(schema, path, warnings, collectWarnings) {
-  if (Array.isArray(schema.examples) && schema.examples.length > 0 && schema.example === undefined) {
-    schema.example = schema.examples[0];
-  }
-
-  const unsupported = {};
-  for (const key of UNSUPPORTED_JSON_SCHEMA_KEYS) {
-    if (Object.prototype.hasOwnProperty.call(schema, key)) {
-      unsupported[key] = schema[key];
-      delete schema[key];
-    }
-  }
-
-  if (Object.keys(unsupported).length > 0) {
-    schema["x-oas31-unsupported"] = unsupported;
-    if (collectWarnings) {
-      warnings.push(`Removed unsupported JSON Schema keywords at ${formatPath(path)}.`);
-    }
-  }
-
-  if (Array.isArray(schema.type)) {
-    const types = schema.type.filter((item) => item !== "null");
-    if (schema.type.includes("null")) {
-      schema.nullable = schema.nullable ?? true;
-    }
-
-    if (types.length === 1) {
-      schema.type = types[0];
-    } else if (types.length > 1) {
-      schema.type = types[0];
-      schema["x-type-alternatives"] = types.slice(1);
-      if (collectWarnings) {
-        warnings.push(`Collapsed multiple schema types at ${formatPath(path)}.`);
-      }
-    } else {
-      delete schema.type;
-      if (collectWarnings) {
-        warnings.push(`Dropped null-only schema type at ${formatPath(path)}.`);
-      }
-    }
-  }
-
-  if (Object.prototype.hasOwnProperty.call(schema, "const")) {
-    if (!Object.prototype.hasOwnProperty.call(schema, "enum")) {
-      schema.enum = [schema.const];
-    }
-    delete schema.const;
-    if (collectWarnings) {
-      warnings.push(`Replaced const with enum at ${formatPath(path)}.`);
-    }
-  }
-
-  if (typeof schema.exclusiveMinimum === "number") {
-    if (schema.minimum !== undefined && schema.minimum !== schema.exclusiveMinimum) {
-      if (collectWarnings) {
-        warnings.push(`exclusiveMinimum overwrote minimum at ${formatPath(path)}.`);
-      }
-    }
-    schema.minimum = schema.exclusiveMinimum;
-    schema.exclusiveMinimum = true;
-  }
-
-  if (typeof schema.exclusiveMaximum === "number") {
-    if (schema.maximum !== undefined && schema.maximum !== schema.exclusiveMaximum) {
-      if (collectWarnings) {
-        warnings.push(`exclusiveMaximum overwrote maximum at ${formatPath(path)}.`);
-      }
-    }
-    schema.maximum = schema.exclusiveMaximum;
-    schema.exclusiveMaximum = true;
+function pickFormSpec(form) {
+  for (const field of FORM_SPEC_FIELDS) {
+    const value = form.get(field);
+    if (value !== null) return value;
   }
+  return null;
 }
 
-function formatPath(path) {
-  if (!path || !path.length) return "#/";
-  const parts = path.map((part) => String(part).replace(/~/g, "~0").replace(/\//g, "~1"));
-  return `#/${parts.join("/")}`;
-}
-
-function finalizeSwaggerSpec(spec) {
-  const output = spec && typeof spec === "object" ? spec : {};
-  output.swagger = "2.0";
-  output.info = output.info || { title: "API", version: "0.0.0" };
-  output.info.title = output.info.title || "API";
-  output.info.version = output.info.version || "0.0.0";
-  output.paths = output.paths || {};
-  return output;
-}
-
-function renderSpec(spec, options) {
-  const { format, pretty, diagnostics, warnings, sourceUrl, originalVersion, log, timings } = options;
-  const outputSpec = spec && typeof spec === "object" ? spec : {};
-
-  if (diagnostics) {
-    outputSpec["x-conversion-info"] = {
-      source: sourceUrl,
-      warnings,
-      originalOpenapi: originalVersion,
-      convertedAt: new Date().toISOString(),
-      timings: snapshotTimings(timings),
-    };
-  }
-
-  const body = format === "yaml"
-    ? Yaml.dump(outputSpec, { lineWidth: -1, noRefs: true })
-    : JSON.stringify(outputSpec, null, pretty ? 2 : 0);
+function renderSpec(result, options) {
+  const { format, pretty, diagnostics, sourceUrl, log } = options;
+  const body = serializeSpec(result, { format, pretty, diagnostics, source: sourceUrl });
   if (log) {
     log.debug("render_done", `format=${format}`, `bytes=${body.length}`);
   }
@@ -942,34 +759,46 @@ function respond(startedAt, log, response, label, timings, includeTimingsHeader)
   });
 }
 
-function createLogger(requestId, debug) {
+function createLogger(requestId, debug, secrets = []) {
   const prefix = `[req:${requestId}]`;
+  const hidden = secrets.filter((secret) => typeof secret === "string" && secret.length >= 6);
+  const redact = (args) => (hidden.length ? args.map((arg) => redactSecrets(arg, hidden)) : args);
   return {
-    info: (...args) => console.log(prefix, ...args),
+    info: (...args) => console.log(prefix, ...redact(args)),
     debug: (...args) => {
-      if (debug) console.log(prefix, ...args);
+      if (debug) console.log(prefix, ...redact(args));
     },
-    warn: (...args) => console.warn(prefix, ...args),
-    error: (...args) => console.error(prefix, ...args),
+    warn: (...args) => console.warn(prefix, ...redact(args)),
+    error: (...args) => console.error(prefix, ...redact(args)),
   };
 }
 
-function makeRequestId() {
-  return Math.random().toString(36).slice(2, 8);
+function upstreamSecrets(headers) {
+  const secrets = [];
+  Object.values(headers).forEach((value) => {
+    secrets.push(value);
+    const credentials = value.split(/\s+/).slice(1).join(" ");
+    if (credentials) {
+      secrets.push(credentials);
+    }
+  });
+  return secrets;
 }
 
-function snapshotTimings(timings) {
-  if (!timings) return undefined;
-  const output = {};
-  for (const [key, value] of Object.entries(timings)) {
-    if (!key.endsWith("Ms")) {
-      continue;
-    }
-    if (typeof value === "number" && Number.isFinite(value)) {
-      output[key] = Math.round(value);
-    }
+function redactSecrets(value, secrets) {
+  let text;
+  if (value instanceof Error) {
+    text = value.stack || `${value.name}: ${value.message}`;
+  } else if (typeof value === "string") {
+    text = value;
+  } else {
+    return value;
   }
-  return Object.keys(output).length ? output : undefined;
+  return secrets.reduce((result, secret) => result.split(secret).join("[redacted]"), text);
+}
+
+function makeRequestId() {
+  return Math.random().toString(36).slice(2, 8);
 }
 
 function formatServerTiming(timings) {
@@ -978,8 +807,10 @@ function formatServerTiming(timings) {
     ["fetchMs", "fetch"],
     ["parseMs", "parse"],
     ["bundleMs", "bundle"],
+    ["inputValidateMs", "input-validate"],
     ["normalizeMs", "normalize"],
     ["convertMs", "convert"],
+    ["validateMs", "validate"],
     ["renderMs", "render"],
     ["totalMs", "total"],
   ];
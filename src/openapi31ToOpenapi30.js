@@ -0,0 +1,303 @@
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+const DEFAULT_WEBHOOK_PREFIX = "/webhooks";
+const STASHED_EXTENSIONS = ["x-oas31-unsupported", "x-type-alternatives"];
+const SCHEMA_REF_PATTERN = /\/(schemas?|properties|items|allOf|anyOf|oneOf|not|additionalProperties)(\/|$)/;
+const VALUE_KEYS = new Set(["example", "value", "default", "enum"]);
+const hasOwnProperty = Object.prototype.hasOwnProperty;
+
+export function downgradeOpenapi31(spec, options = {}) {
+  if (!spec || typeof spec !== "object") return spec;
+  const log = options && options.log;
+  const debug = Boolean(options && options.debug);
+  const strict = options && options.strict !== undefined ? Boolean(options.strict) : true;
+  const diagnostics = (options && options.diagnostics) || null;
+  const webhooksMode = (options && options.webhooks) || "extension";
+  const webhookPrefix = normalizeWebhookPrefix(options && options.webhookPrefix);
+  const startedAt = Date.now();
+  const report = (code, severity, path, message) => {
+    if (!diagnostics) return;
+    diagnostics.add({
+      code,
+      severity,
+      stage: "convert",
+      sourcePointer: path ? formatPointer(path) : undefined,
+      message,
+    });
+  };
+
+  inlinePathItems(spec, report);
+  convertWebhooks(spec, webhooksMode, webhookPrefix, report);
+  convertInfo(spec, strict, report);
+  dropMutualTls(spec, strict, report);
+  const rewritten = rewriteRefSiblings(spec, report);
+  const stripped = strict ? stripStashedExtensions(spec, report) : 0;
+  spec.openapi = "3.0.3";
+
+  if (debug && log && typeof log.debug === "function") {
+    log.debug("downgrade_done", `refs=${rewritten}`, `stripped=${stripped}`, `${Date.now() - startedAt}ms`);
+  }
+  return spec;
+}
+
+function inlinePathItems(spec, report) {
+  const components = spec.components;
+  const pathItems = components && components.pathItems;
+  if (!pathItems || typeof pathItems !== "object") return;
+
+  const resolve = (pathItem, pointer, depth) => {
+    if (!pathItem || typeof pathItem.$ref !== "string") return pathItem;
+    const match = /^#\/components\/pathItems\/(.+)$/.exec(pathItem.$ref);
+    if (!match || depth > 16) return pathItem;
+    const name = match[1].replace(/~1/g, "/").replace(/~0/g, "~");
+    const target = pathItems[name];
+    if (!target) return pathItem;
+    const { $ref, ...siblings } = pathItem;
+    report("path-items-inlined", "info", pointer, `Inlined path item ${$ref}; OpenAPI 3.0 has no components.pathItems.`);
+    return { ...resolve(deepClone(target), pointer, depth + 1), ...siblings };
+  };
+
+  ["paths", "webhooks"].forEach((section) => {
+    const container = spec[section];
+    if (!container || typeof container !== "object") return;
+    for (const key in container) {
+      container[key] = resolve(container[key], [section, key], 0);
+    }
+  });
+  const resolveCallbacks = (callbacks, pointer) => {
+    if (!callbacks || typeof callbacks !== "object") return;
+    for (const name in callbacks) {
+      const callback = callbacks[name];
+      if (!callback || typeof callback !== "object" || callback.$ref) continue;
+      for (const expression in callback) {
+        callback[expression] = resolve(callback[expression], pointer.concat(name, expression), 0);
+      }
+    }
+  };
+  resolveCallbacks(components.callbacks, ["components", "callbacks"]);
+  forEachOperation(spec, (operation, pointer) => resolveCallbacks(operation.callbacks, pointer.concat("callbacks")));
+
+  delete components.pathItems;
+  if (!Object.keys(components).length) {
+    delete spec.components;
+  }
+}
+
+function convertWebhooks(spec, mode, prefix, report) {
+  const webhooks = spec.webhooks;
+  delete spec.webhooks;
+  if (!webhooks || typeof webhooks !== "object" || !Object.keys(webhooks).length) return;
+
+  if (mode === "drop") {
+    report("webhooks-dropped", "warning", ["webhooks"], "Dropped webhooks; OpenAPI 3.0 has no equivalent.");
+    return;
+  }
+  if (mode === "extension") {
+    spec["x-webhooks"] = webhooks;
+    report("webhooks-converted", "info", ["webhooks"], "Converted webhooks to x-webhooks.");
+    return;
+  }
+
+  spec.paths = spec.paths || {};
+  for (const name in webhooks) {
+    const pathItem = webhooks[name];
+    if (!pathItem || typeof pathItem !== "object") continue;
+    HTTP_METHODS.forEach((method) => {
+      const operation = pathItem[method];
+      if (operation && typeof operation === "object") {
+        operation.tags = ["webhook"].concat((operation.tags || []).filter((tag) => tag !== "webhook"));
+      }
+    });
+    const base = `${prefix}/${name}`.replace(/[{}]/g, "").replace(/\/{2,}/g, "/");
+    let key = base;
+    for (let suffix = 2; hasOwnProperty.call(spec.paths, key); suffix += 1) {
+      key = `${base}-${suffix}`;
+    }
+    spec.paths[key] = pathItem;
+  }
+  report("webhooks-converted", "info", ["webhooks"], `Converted webhooks to paths under ${prefix}.`);
+}
+
+function convertInfo(spec, strict, report) {
+  const info = spec.info;
+  if (!info || typeof info !== "object") return;
+  if (info.summary !== undefined) {
+    if (!strict) {
+      info["x-summary"] = info.summary;
+    }
+    delete info.summary;
+    report("info-field-dropped", "info", ["info", "summary"], "Dropped info.summary (not supported in OpenAPI 3.0).");
+  }
+  const license = info.license;
+  if (license && typeof license === "object" && license.identifier !== undefined) {
+    if (!license.url) {
+      license.url = `https://spdx.org/licenses/${encodeURIComponent(license.identifier)}.html`;
+    }
+    delete license.identifier;
+    report(
+      "info-field-dropped",
+      "info",
+      ["info", "license", "identifier"],
+      "Replaced license.identifier with an SPDX license URL."
+    );
+  }
+}
+
+function dropMutualTls(spec, strict, report) {
+  const schemes = spec.components && spec.components.securitySchemes;
+  if (!schemes || typeof schemes !== "object") return;
+  const dropped = new Set();
+  for (const name in schemes) {
+    const scheme = schemes[name];
+    if (!scheme || scheme.type !== "mutualTLS") continue;
+    dropped.add(name);
+    if (!strict) {
+      spec.components["x-unsupported-securitySchemes"] = spec.components["x-unsupported-securitySchemes"] || {};
+      spec.components["x-unsupported-securitySchemes"][name] = scheme;
+    }
+    delete schemes[name];
+    report(
+      "security-scheme-dropped",
+      "warning",
+      ["components", "securitySchemes", name],
+      `Dropped mutualTLS security scheme ${name}; OpenAPI 3.0 has no equivalent.`
+    );
+  }
+  if (!dropped.size) return;
+
+  const rewrite = (security, pointer) => {
+    if (!Array.isArray(security)) return security;
+    const kept = security.filter(
+      (requirement) => !requirement || !Object.keys(requirement).some((name) => dropped.has(name))
+    );
+    if (kept.length !== security.length) {
+      report(
+        "security-requirement-removed",
+        "warning",
+        pointer,
+        "Removed security requirements that reference a dropped scheme."
+      );
+    }
+    return kept;
+  };
+  if (spec.security) {
+    spec.security = rewrite(spec.security, ["security"]);
+  }
+  forEachOperation(spec, (operation, pointer) => {
+    if (operation.security) {
+      operation.security = rewrite(operation.security, pointer.concat("security"));
+    }
+  });
+}
+
+function rewriteRefSiblings(spec, report) {
+  let rewritten = 0;
+  const seen = new WeakSet();
+  const stack = [{ node: spec, path: [] }];
+  while (stack.length > 0) {
+    const { node, path } = stack.pop();
+    if (!node || typeof node !== "object") continue;
+    if (seen.has(node)) continue;
+    seen.add(node);
+
+    if (!Array.isArray(node) && typeof node.$ref === "string" && Object.keys(node).length > 1) {
+      const { $ref, ...siblings } = node;
+      for (const key in siblings) {
+        delete node[key];
+      }
+      rewritten += 1;
+      if (SCHEMA_REF_PATTERN.test($ref)) {
+        delete node.$ref;
+        Object.assign(node, siblings);
+        node.allOf = [{ $ref }].concat(Array.isArray(siblings.allOf) ? siblings.allOf : []);
+        report("schema-ref-siblings-wrapped", "info", path, "Wrapped $ref with sibling keywords in allOf.");
+      } else {
+        report(
+          "ref-siblings-dropped",
+          "info",
+          path,
+          `Dropped ${Object.keys(siblings).join(", ")} next to $ref (ignored in OpenAPI 3.0).`
+        );
+      }
+    }
+
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => stack.push({ node: item, path: path.concat(index) }));
+      continue;
+    }
+    for (const key in node) {
+      if (VALUE_KEYS.has(key) || key.startsWith("x-")) continue;
+      stack.push({ node: node[key], path: path.concat(key) });
+    }
+  }
+  return rewritten;
+}
+
+function stripStashedExtensions(spec, report) {
+  let stripped = 0;
+  const seen = new WeakSet();
+  const stack = [{ node: spec, path: [] }];
+  while (stack.length > 0) {
+    const { node, path } = stack.pop();
+    if (!node || typeof node !== "object") continue;
+    if (seen.has(node)) continue;
+    seen.add(node);
+    STASHED_EXTENSIONS.forEach((key) => {
+      if (!Array.isArray(node) && hasOwnProperty.call(node, key)) {
+        delete node[key];
+        stripped += 1;
+        report("extension-removed", "info", path.concat(key), `Removed extension ${key}.`);
+      }
+    });
+    for (const key in node) {
+      if (VALUE_KEYS.has(key)) continue;
+      stack.push({ node: node[key], path: path.concat(key) });
+    }
+  }
+  return stripped;
+}
+
+function forEachOperation(spec, visitor) {
+  const visitPathItem = (pathItem, pointer) => {
+    if (!pathItem || typeof pathItem !== "object") return;
+    HTTP_METHODS.forEach((method) => {
+      const operation = pathItem[method];
+      if (!operation || typeof operation !== "object") return;
+      visitor(operation, pointer.concat(method));
+      visitCallbacks(operation.callbacks, pointer.concat(method, "callbacks"));
+    });
+  };
+  const visitCallbacks = (callbacks, pointer) => {
+    if (!callbacks || typeof callbacks !== "object") return;
+    for (const name in callbacks) {
+      const callback = callbacks[name];
+      if (!callback || typeof callback !== "object" || callback.$ref) continue;
+      for (const expression in callback) {
+        visitPathItem(callback[expression], pointer.concat(name, expression));
+      }
+    }
+  };
+  ["paths", "webhooks", "x-webhooks"].forEach((section) => {
+    const container = spec[section];
+    if (!container || typeof container !== "object") return;
+    for (const key in container) {
+      visitPathItem(container[key], [section, key]);
+    }
+  });
+  visitCallbacks(spec.components && spec.components.callbacks, ["components", "callbacks"]);
+}
+
+function normalizeWebhookPrefix(prefix) {
+  if (typeof prefix !== "string" || !prefix.trim()) return DEFAULT_WEBHOOK_PREFIX;
+  const trimmed = prefix.trim().replace(/\/+$/, "");
+  if (!trimmed) return "";
+  return trimmed.startsWith("/") ? trimmed : `/${trimmed}`;
+}
+
+function deepClone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function formatPointer(path) {
+  if (!path || !path.length) return "#/";
+  return `#/${path.map((part) => String(part).replace(/~/g, "~0").replace(/\//g, "~1")).join("/")}`;
+}
@@ -1,3 +1,6 @@
+import { pruneUnused } from "./filter.js";
+import { getSanitizeProfile } from "./profiles.js";
+
 const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
 const SCHEMA_PROPERTIES = [
   "format",
@@ -19,36 +22,11 @@ const SCHEMA_PROPERTIES = [
   "default",
 ];
 const ARRAY_PROPERTIES = ["type", "items"];
-const STRICT_SCHEMA_REMOVE_KEYS = new Set([
-  "$schema",
-  "$id",
-  "anchor",
-  "defs",
-  "$defs",
-  "if",
-  "then",
-  "else",
-  "dependentSchemas",
-  "dependentRequired",
-  "unevaluatedItems",
-  "unevaluatedProperties",
-  "propertyNames",
-  "patternProperties",
-  "contains",
-  "minContains",
-  "maxContains",
-  "prefixItems",
-  "contentEncoding",
-  "contentMediaType",
-  "contentSchema",
-  "const",
-  "nullable",
-  "oneOf",
-  "anyOf",
-  "not",
-  "deprecated",
-  "writeOnly",
-  "examples",
+const STRICT_KEPT_EXTENSIONS = new Set([
+  "x-discriminator-value",
+  "x-webhooks",
+  "x-callbacks",
+  "x-callback-expression",
 ]);
 
 const APPLICATION_JSON_REGEX = /^(application\/json|[^;\/ \t]+\/[^;\/ \t]+[+]json)[ \t]*(;.*)?$/;
@@ -56,8 +34,18 @@ const SUPPORTED_MIME_TYPES = {
   APPLICATION_X_WWW_URLENCODED: "application/x-www-form-urlencoded",
   MULTIPART_FORM_DATA: "multipart/form-data",
 };
+const WEBHOOK_MODES = ["paths", "extension", "drop"];
+const DEFAULT_WEBHOOK_PREFIX = "/webhooks";
+const INLINED_COMPONENT_SECTIONS = ["schemas", "parameters", "responses", "requestBodies", "headers"];
 const hasOwnProperty = Object.prototype.hasOwnProperty;
 
+export class ServerSelectionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ServerSelectionError";
+  }
+}
+
 export function convertOpenapi3ToSwagger2(spec, options = {}) {
   const converter = new Converter(spec, options);
   return converter.convert();
@@ -69,7 +57,16 @@ class Converter {
     this.log = options && options.log;
     this.debug = Boolean(options && options.debug);
     this.strict = options && options.strict !== undefined ? Boolean(options.strict) : true;
+    this.profile = options && options.profile;
+    this.diagnostics = (options && options.diagnostics) || null;
+    this.openIdConfigurations = (options && options.openIdConfigurations) || {};
+    this.serverSelector = options && options.server;
+    this.serverVariables = (options && options.serverVariables) || {};
     this.trace = this.debug ? { schemaCount: 0 } : null;
+    this.requestBodyParameters = {};
+    this.operations = [];
+    this.webhooksMode = options && WEBHOOK_MODES.indexOf(options.webhooks) >= 0 ? options.webhooks : "extension";
+    this.webhookPrefix = normalizeWebhookPrefix(options && options.webhookPrefix);
   }
 
   convert() {
@@ -80,10 +77,16 @@ class Converter {
     this.convertInfos();
     this.logDebug("convert_infos_done", `${Date.now() - infosStartedAt}ms`);
 
+    this.planRequestBodyParameters();
+
     const opsStartedAt = Date.now();
     this.convertOperations();
     this.logDebug("convert_operations_done", `${Date.now() - opsStartedAt}ms`);
     if (this.spec.components) {
+      this.convertComponentParameters();
+      this.convertComponentResponses();
+      this.convertComponentRequestBodies();
+
       const schemasStartedAt = Date.now();
       this.convertSchemas();
       const schemaInfo = this.trace ? `schemas=${this.trace.schemaCount}` : undefined;
@@ -93,18 +96,42 @@ class Converter {
       this.convertSecurityDefinitions();
       this.logDebug("convert_security_done", `${Date.now() - securityStartedAt}ms`);
 
-      this.spec["x-components"] = this.spec.components;
+      if (Object.keys(this.spec.components).length) {
+        this.spec["x-components"] = this.spec.components;
+      }
       delete this.spec.components;
 
       fixRefs(this.spec);
     }
     if (this.strict) {
-      sanitizeSwagger2(this.spec, { log: this.log, debug: this.debug });
+      sanitizeSwagger2(this.spec, {
+        log: this.log,
+        debug: this.debug,
+        diagnostics: this.diagnostics,
+        profile: this.profile,
+      });
     }
     this.logDebug("convert_total_done", `${Date.now() - totalStartedAt}ms`);
     return this.spec;
   }
 
+  report(code, severity, path, message, targetPath) {
+    if (!this.diagnostics) return;
+    const sourcePointer = path ? formatPointer(path) : undefined;
+    const targetPointer =
+      targetPath !== undefined
+        ? targetPath && formatPointer(targetPath)
+        : sourcePointer && toTargetPointer(sourcePointer);
+    this.diagnostics.add({
+      code,
+      severity,
+      stage: "convert",
+      sourcePointer,
+      targetPointer: targetPointer || undefined,
+      message,
+    });
+  }
+
   logDebug(...args) {
     if (this.debug && this.log && typeof this.log.debug === "function") {
       this.log.debug(...args.filter((value) => value));
@@ -127,15 +154,34 @@ class Converter {
   }
 
   convertInfos() {
-    const server = this.spec.servers && this.spec.servers[0];
+    const servers = Array.isArray(this.spec.servers) ? this.spec.servers : [];
+    const serverIndex = this.selectServer(servers);
+    const server = servers[serverIndex];
     if (server) {
       let serverUrl = server.url;
       const variables = server.variables || {};
+      for (const name in this.serverVariables) {
+        if (!hasOwnProperty.call(variables, name)) {
+          throw new ServerSelectionError(`Server ${server.url} has no variable '${name}'.`);
+        }
+      }
       for (const variable in variables) {
         const variableObject = variables[variable] || {};
-        if (variableObject.default) {
+        const value = hasOwnProperty.call(this.serverVariables, variable)
+          ? this.serverVariables[variable]
+          : variableObject.default;
+        if (
+          hasOwnProperty.call(this.serverVariables, variable) &&
+          Array.isArray(variableObject.enum) &&
+          variableObject.enum.map(String).indexOf(value) < 0
+        ) {
+          throw new ServerSelectionError(
+            `Value '${value}' for server variable '${variable}' must be one of: ${variableObject.enum.join(", ")}.`
+          );
+        }
+        if (value) {
           const re = new RegExp(`{${variable}}`, "g");
-          serverUrl = serverUrl.replace(re, variableObject.default);
+          serverUrl = serverUrl.replace(re, value);
         }
       }
 
@@ -154,41 +200,193 @@ class Converter {
         this.spec.basePath = parsed.pathname;
       }
     }
+    const unusedServers = servers.filter((item, index) => index !== serverIndex);
+    if (!this.strict && unusedServers.length) {
+      this.spec["x-servers"] = unusedServers;
+    }
     delete this.spec.servers;
     delete this.spec.openapi;
   }
 
+  selectServer(servers) {
+    const selector = this.serverSelector;
+    if (selector === undefined || selector === null || selector === "") {
+      return 0;
+    }
+    const value = String(selector);
+    if (/^\d+$/.test(value)) {
+      const index = Number(value);
+      if (index >= servers.length) {
+        throw new ServerSelectionError(`Server index ${index} is out of range (${servers.length} servers).`);
+      }
+      return index;
+    }
+    const index = servers.findIndex((server) => server && typeof server.url === "string" && server.url.includes(value));
+    if (index < 0) {
+      throw new ServerSelectionError(`No server URL contains '${value}'.`);
+    }
+    return index;
+  }
+
+  convertServerOverrides(owner, path) {
+    if (owner.servers === undefined) return;
+    if (!this.strict) {
+      owner["x-servers"] = owner.servers;
+    }
+    delete owner.servers;
+    this.report("server-override-dropped", "warning", path, "Dropped servers override; Swagger 2.0 only supports one host and basePath.");
+  }
+
   convertOperations() {
     const paths = this.spec.paths || {};
     const pathKeys = Object.keys(paths);
-    let operationCount = 0;
     this.logDebug("convert_operations_start", `paths=${pathKeys.length}`);
 
     for (const path of pathKeys) {
-      const pathObject = (paths[path] = this.resolveReference(this.spec, paths[path], true));
-      this.convertParameters(pathObject);
-      for (const method in pathObject) {
-        if (HTTP_METHODS.indexOf(method) >= 0) {
-          operationCount += 1;
-          if (this.debug && operationCount % 200 === 0) {
-            this.logDebug("convert_operations_progress", `ops=${operationCount}`);
-          }
-          const operation = (pathObject[method] = this.resolveReference(this.spec, pathObject[method], true));
-          this.convertOperationParameters(operation);
-          this.convertResponses(operation);
+      paths[path] = this.convertPathItem(paths[path], ["paths", path]);
+    }
+    this.convertWebhooks();
+    this.logDebug("convert_operations_end", `ops=${this.operations.length}`);
+  }
+
+  convertPathItem(pathItem, pointer, tag) {
+    const pathObject = this.resolveReference(this.spec, pathItem, true);
+    this.convertServerOverrides(pathObject, pointer.concat("servers"));
+    this.convertParameters(pathObject, this.diagnostics ? pointer : null);
+    for (const method in pathObject) {
+      if (HTTP_METHODS.indexOf(method) >= 0) {
+        if (this.debug && (this.operations.length + 1) % 200 === 0) {
+          this.logDebug("convert_operations_progress", `ops=${this.operations.length + 1}`);
+        }
+        const operation = (pathObject[method] = this.resolveReference(this.spec, pathObject[method], true));
+        const operationPointer = pointer.concat(method);
+        const operationPath = this.diagnostics ? operationPointer : null;
+        this.convertServerOverrides(operation, operationPointer.concat("servers"));
+        this.convertOperationParameters(operation, operationPath);
+        this.convertResponses(operation, operationPath);
+        if (tag) {
+          operation.tags = [tag].concat((operation.tags || []).filter((name) => name !== tag));
+        }
+        this.operations.push({ operation, pointer: operationPointer });
+        if (operation.callbacks) {
+          this.convertCallbacks(operation, operationPointer);
+        }
+      }
+    }
+    return pathObject;
+  }
+
+  convertWebhooks() {
+    const webhooks = this.spec.webhooks;
+    delete this.spec.webhooks;
+    if (!webhooks || typeof webhooks !== "object" || !Object.keys(webhooks).length) return;
+
+    if (this.webhooksMode === "drop") {
+      this.report("webhooks-dropped", "warning", ["webhooks"], "Dropped webhooks; Swagger 2.0 has no equivalent.");
+      return;
+    }
+    const converted = {};
+    for (const name in webhooks) {
+      const pathObject = this.convertPathItem(webhooks[name], ["webhooks", name], "webhook");
+      if (this.webhooksMode === "paths") {
+        this.addSyntheticPath(`${this.webhookPrefix}/${name}`, pathObject);
+      } else {
+        converted[name] = pathObject;
+      }
+    }
+    if (this.webhooksMode === "extension") {
+      this.spec["x-webhooks"] = converted;
+    }
+    const target = this.webhooksMode === "paths" ? `paths under ${this.webhookPrefix}` : "x-webhooks";
+    this.report(
+      "webhooks-converted",
+      "warning",
+      ["webhooks"],
+      `Converted webhooks to ${target}; Swagger 2.0 has no webhooks, so most tools will not treat them as such.`
+    );
+  }
+
+  convertCallbacks(operation, operationPointer) {
+    const callbacks = operation.callbacks;
+    delete operation.callbacks;
+    const callbacksPath = operationPointer.concat("callbacks");
+    if (this.webhooksMode === "drop") {
+      this.report("callbacks-dropped", "warning", callbacksPath, "Dropped callbacks; Swagger 2.0 has no equivalent.");
+      return;
+    }
+
+    const method = operationPointer[operationPointer.length - 1];
+    const owner = operation.operationId || `${method}${operationPointer[operationPointer.length - 2]}`;
+    const converted = {};
+    for (const name in callbacks) {
+      const callback = this.resolveReference(this.spec, callbacks[name], true);
+      for (const expression in callback) {
+        if (expression.startsWith("x-")) continue;
+        const pathObject = this.convertPathItem(
+          callback[expression],
+          operationPointer.concat("callbacks", name, expression),
+          "callback"
+        );
+        if (this.webhooksMode === "paths") {
+          pathObject["x-callback-expression"] = expression;
+          this.addSyntheticPath(`${this.webhookPrefix}/callbacks/${owner}/${name}`, pathObject);
+        } else {
+          converted[name] = converted[name] || {};
+          converted[name][expression] = pathObject;
         }
       }
     }
-    this.logDebug("convert_operations_end", `ops=${operationCount}`);
+    if (this.webhooksMode === "extension") {
+      operation["x-callbacks"] = converted;
+    }
+    const target = this.webhooksMode === "paths" ? "paths" : "x-callbacks";
+    this.report(
+      "callbacks-converted",
+      "warning",
+      callbacksPath,
+      `Converted callbacks to ${target}; Swagger 2.0 has no callbacks, so most tools will not treat them as such.`
+    );
+  }
+
+  addSyntheticPath(path, pathObject) {
+    this.spec.paths = this.spec.paths || {};
+    const base = path.replace(/[{}]/g, "").replace(/\/{2,}/g, "/");
+    let key = base;
+    for (let suffix = 2; hasOwnProperty.call(this.spec.paths, key); suffix += 1) {
+      key = `${base}-${suffix}`;
+    }
+    this.spec.paths[key] = pathObject;
+  }
+
+  planRequestBodyParameters() {
+    const components = this.spec.components || {};
+    const requestBodies = components.requestBodies || {};
+    const parameters = components.parameters || {};
+    for (const name in requestBodies) {
+      const requestBody = requestBodies[name];
+      if (!requestBody || requestBody.$ref || !requestBody.content) continue;
+      if (isFormContent(requestBody.content) || !Object.keys(requestBody.content).some((range) => range.indexOf("/") > 0)) {
+        continue;
+      }
+      this.requestBodyParameters[name] = hasOwnProperty.call(parameters, name) ? `${name}Body` : name;
+    }
   }
 
-  convertOperationParameters(operation) {
+  convertOperationParameters(operation, operationPath) {
     let content;
     let param;
     let contentKey;
     let mediaRanges;
     let mediaTypes;
     operation.parameters = operation.parameters || [];
+    const requestBodyName = componentName(operation.requestBody, "requestBodies");
+    if (requestBodyName && hasOwnProperty.call(this.requestBodyParameters, requestBodyName)) {
+      const requestBody = this.resolveReference(this.spec, operation.requestBody, false);
+      const ranges = Object.keys(requestBody.content).filter((mediaRange) => mediaRange.indexOf("/") > 0);
+      operation.consumes = ranges.filter((range) => range.indexOf("*") < 0);
+      operation.parameters.push({ $ref: `#/parameters/${this.requestBodyParameters[requestBodyName]}` });
+      delete operation.requestBody;
+    }
     if (operation.requestBody) {
       param = this.resolveReference(this.spec, operation.requestBody, true);
 
@@ -256,16 +454,43 @@ class Converter {
           operation.parameters.push(param);
         }
 
+        const contentPath = extendPath(operationPath, "requestBody", "content");
+        this.reportMediaTypes(content, contentKey || mediaRanges[0], contentPath);
         if (param.schema) {
-          this.convertSchema(param.schema, "request");
+          this.convertSchema(param.schema, "request", extendPath(contentPath, contentKey || mediaRanges[0], "schema"));
         }
       }
       delete operation.requestBody;
     }
-    this.convertParameters(operation);
+    this.convertParameters(operation, operationPath);
+  }
+
+  reportMediaTypes(content, chosenRange, contentPath) {
+    if (!this.diagnostics || !content) return;
+    const chosen = content[chosenRange] && content[chosenRange].schema;
+    for (const mediaRange in content) {
+      if (mediaRange.indexOf("*") >= 0) {
+        this.report(
+          "media-type-wildcard",
+          "info",
+          extendPath(contentPath, mediaRange),
+          `Media range ${mediaRange} cannot be listed in Swagger 2.0 consumes/produces.`
+        );
+      }
+      if (mediaRange === chosenRange) continue;
+      const schema = content[mediaRange] && content[mediaRange].schema;
+      if (schema && schema !== chosen && !(chosen && schema.$ref && schema.$ref === chosen.$ref)) {
+        this.report(
+          "media-type-schema-dropped",
+          "warning",
+          extendPath(contentPath, mediaRange, "schema"),
+          `Dropped schema for ${mediaRange}; Swagger 2.0 allows one schema per body or response.`
+        );
+      }
+    }
   }
 
-  convertParameters(obj) {
+  convertParameters(obj, path) {
     if (obj.parameters === undefined) {
       return;
     }
@@ -273,47 +498,73 @@ class Converter {
     obj.parameters = obj.parameters || [];
 
     obj.parameters.forEach((param, index) => {
+      if (param && typeof param.$ref === "string" && /^#\/(components\/)?parameters\//.test(param.$ref)) {
+        return;
+      }
       param = obj.parameters[index] = this.resolveReference(this.spec, param, false);
-      if (param.in !== "body") {
-        this.copySchemaProperties(param, SCHEMA_PROPERTIES);
-        this.copySchemaProperties(param, ARRAY_PROPERTIES);
-        this.copySchemaXProperties(param);
-        if (!param.description) {
-          const schema = this.resolveReference(this.spec, param.schema, false);
-          if (schema && schema.description) {
-            param.description = schema.description;
-          }
-        }
-        delete param.schema;
-        delete param.allowReserved;
-        if (param.example !== undefined) {
-          param["x-example"] = param.example;
-        }
-        delete param.example;
-      }
-      if (param.type === "array") {
-        const style = param.style || (param.in === "query" || param.in === "cookie" ? "form" : "simple");
-        if (style === "matrix") {
-          param.collectionFormat = param.explode ? undefined : "csv";
-        } else if (style === "label") {
-          param.collectionFormat = undefined;
-        } else if (style === "simple") {
-          param.collectionFormat = "csv";
-        } else if (style === "spaceDelimited") {
-          param.collectionFormat = "ssv";
-        } else if (style === "pipeDelimited") {
-          param.collectionFormat = "pipes";
-        } else if (style === "deepOpbject") {
-          param.collectionFormat = "multi";
-        } else if (style === "form") {
-          param.collectionFormat = param.explode === false ? "csv" : "multi";
-        }
-      }
-      delete param.style;
-      delete param.explode;
+      this.convertParameter(param, extendPath(path, "parameters", index));
     });
   }
 
+  convertParameter(param, path) {
+    if (param.in === "cookie") {
+      this.report("parameter-cookie-unsupported", "warning", path, "Cookie parameters are not supported in Swagger 2.0.");
+    }
+    if (param.content && !param.schema) {
+      this.report("parameter-content-dropped", "warning", path, "Dropped parameter content; only schema parameters convert.");
+      delete param.content;
+      param.type = param.type || "string";
+    }
+    if (param.allowReserved) {
+      this.report("parameter-allow-reserved-dropped", "info", path, "Dropped allowReserved.");
+    }
+    if (param.style === "matrix" || param.style === "label" || param.style === "deepObject") {
+      this.report(
+        "parameter-style-approximated",
+        "warning",
+        path,
+        `Parameter style ${param.style} has no Swagger 2.0 collectionFormat equivalent.`
+      );
+    }
+    if (param.in !== "body") {
+      this.copySchemaProperties(param, SCHEMA_PROPERTIES);
+      this.copySchemaProperties(param, ARRAY_PROPERTIES);
+      this.copySchemaXProperties(param);
+      if (!param.description) {
+        const schema = this.resolveReference(this.spec, param.schema, false);
+        if (schema && schema.description) {
+          param.description = schema.description;
+        }
+      }
+      delete param.schema;
+      delete param.allowReserved;
+      if (param.example !== undefined) {
+        param["x-example"] = param.example;
+      }
+      delete param.example;
+    }
+    if (param.type === "array") {
+      const style = param.style || (param.in === "query" || param.in === "cookie" ? "form" : "simple");
+      if (style === "matrix") {
+        param.collectionFormat = param.explode ? undefined : "csv";
+      } else if (style === "label") {
+        param.collectionFormat = undefined;
+      } else if (style === "simple") {
+        param.collectionFormat = "csv";
+      } else if (style === "spaceDelimited") {
+        param.collectionFormat = "ssv";
+      } else if (style === "pipeDelimited") {
+        param.collectionFormat = "pipes";
+      } else if (style === "deepOpbject") {
+        param.collectionFormat = "multi";
+      } else if (style === "form") {
+        param.collectionFormat = param.explode === false ? "csv" : "multi";
+      }
+    }
+    delete param.style;
+    delete param.explode;
+  }
+
   copySchemaProperties(obj, props) {
     const schema = this.resolveReference(this.spec, obj.schema, true);
     if (!schema) return;
@@ -341,65 +592,77 @@ class Converter {
     }
   }
 
-  convertResponses(operation) {
+  convertResponses(operation, operationPath) {
+    for (const code in operation.responses) {
+      const entry = operation.responses[code];
+      if (componentName(entry, "responses")) {
+        const target = this.resolveReference(this.spec, entry, false);
+        collectProduces(operation, target && target.content);
+        continue;
+      }
+      const response = (operation.responses[code] = this.resolveReference(this.spec, entry, true));
+      collectProduces(operation, response.content);
+      this.convertResponse(response, extendPath(operationPath, "responses", code));
+    }
+  }
+
+  convertResponse(response, responsePath) {
     let anySchema;
     let jsonSchema;
-    let response;
+    let anyMediaRange;
+    let jsonMediaRange;
     let resolved;
-    for (const code in operation.responses) {
-      response = operation.responses[code] = this.resolveReference(this.spec, operation.responses[code], true);
-      if (response.content) {
-        anySchema = jsonSchema = null;
-        for (const mediaRange in response.content) {
-          const mediaType = mediaRange.indexOf("*") < 0 ? mediaRange : "application/octet-stream";
-          if (!operation.produces) {
-            operation.produces = [mediaType];
-          } else if (operation.produces.indexOf(mediaType) < 0) {
-            operation.produces.push(mediaType);
-          }
-
-          const content = response.content[mediaRange];
-
-          anySchema = anySchema || content.schema;
-          if (!jsonSchema && isJsonMimeType(mediaType)) {
-            jsonSchema = content.schema;
-          }
-
-          if (content.example) {
-            response.examples = response.examples || {};
-            response.examples[mediaType] = content.example;
-          }
+    if (response.content) {
+      anySchema = jsonSchema = null;
+      for (const mediaRange in response.content) {
+        const mediaType = mediaRange.indexOf("*") < 0 ? mediaRange : "application/octet-stream";
+        const content = response.content[mediaRange];
+
+        if (!anySchema && content.schema) {
+          anySchema = content.schema;
+          anyMediaRange = mediaRange;
+        }
+        if (!jsonSchema && isJsonMimeType(mediaType)) {
+          jsonSchema = content.schema;
+          jsonMediaRange = mediaRange;
         }
 
-        if (anySchema) {
-          response.schema = jsonSchema || anySchema;
-          resolved = this.resolveReference(this.spec, response.schema, true);
-          if (resolved && response.schema.$ref && !response.schema.$ref.startsWith("#")) {
-            response.schema = resolved;
-          }
-
-          this.convertSchema(response.schema, "response");
+        if (content.example) {
+          response.examples = response.examples || {};
+          response.examples[mediaType] = content.example;
         }
       }
 
-      const headers = response.headers;
-      if (headers) {
-        for (const header in headers) {
-          resolved = this.resolveReference(this.spec, headers[header], true);
-          if (resolved.schema) {
-            resolved.type = resolved.schema.type;
-            resolved.format = resolved.schema.format;
-            delete resolved.schema;
-          }
-          headers[header] = resolved;
+      this.reportMediaTypes(response.content, jsonSchema ? jsonMediaRange : anyMediaRange, extendPath(responsePath, "content"));
+      if (anySchema) {
+        response.schema = jsonSchema || anySchema;
+        resolved = this.resolveReference(this.spec, response.schema, true);
+        if (resolved && response.schema.$ref && !response.schema.$ref.startsWith("#")) {
+          response.schema = resolved;
         }
+
+        const schemaPath = extendPath(responsePath, "content", jsonSchema ? jsonMediaRange : anyMediaRange, "schema");
+        this.convertSchema(response.schema, "response", schemaPath);
       }
+    }
 
-      delete response.content;
+    const headers = response.headers;
+    if (headers) {
+      for (const header in headers) {
+        resolved = this.resolveReference(this.spec, headers[header], true);
+        if (resolved.schema) {
+          resolved.type = resolved.schema.type;
+          resolved.format = resolved.schema.format;
+          delete resolved.schema;
+        }
+        headers[header] = resolved;
+      }
     }
+
+    delete response.content;
   }
 
-  convertSchema(def, operationDirection) {
+  convertSchema(def, operationDirection, path) {
     if (this.trace) {
       this.trace.schemaCount += 1;
       if (this.trace.schemaCount % 2000 === 0) {
@@ -407,28 +670,20 @@ class Converter {
       }
     }
     if (def.oneOf) {
-      delete def.oneOf;
-
-      if (def.discriminator) {
-        delete def.discriminator;
-      }
+      this.lowerAlternatives(def, "oneOf", path);
     }
 
     if (def.anyOf) {
-      delete def.anyOf;
-
-      if (def.discriminator) {
-        delete def.discriminator;
-      }
+      this.lowerAlternatives(def, "anyOf", path);
     }
 
     if (def.allOf) {
       for (const index in def.allOf) {
-        this.convertSchema(def.allOf[index], operationDirection);
+        this.convertSchema(def.allOf[index], operationDirection, extendPath(path, "allOf", index));
       }
     }
 
-    if (def.discriminator) {
+    if (def.discriminator && typeof def.discriminator === "object") {
       if (def.discriminator.mapping) {
         this.convertDiscriminatorMapping(def.discriminator.mapping);
       }
@@ -443,14 +698,14 @@ class Converter {
             if (def.properties[propName].writeOnly === true && operationDirection === "response") {
               delete def.properties[propName];
             } else {
-              this.convertSchema(def.properties[propName], operationDirection);
+              this.convertSchema(def.properties[propName], operationDirection, extendPath(path, "properties", propName));
               delete def.properties[propName].writeOnly;
             }
           }
         }
       case "array":
         if (def.items) {
-          this.convertSchema(def.items, operationDirection);
+          this.convertSchema(def.items, operationDirection, extendPath(path, "items"));
         }
     }
 
@@ -472,12 +727,192 @@ class Converter {
     this.logDebug("convert_schemas_start", `definitions=${Object.keys(this.spec.definitions || {}).length}`);
 
     for (const defName in this.spec.definitions) {
-      this.convertSchema(this.spec.definitions[defName]);
+      this.convertSchema(this.spec.definitions[defName], undefined, ["components", "schemas", defName]);
     }
 
     delete this.spec.components.schemas;
   }
 
+  lowerAlternatives(def, keyword, path) {
+    const alternatives = Array.isArray(def[keyword]) ? def[keyword] : [];
+    const resolved = alternatives.map((item) => this.resolveReference(this.spec, item, false));
+    const original = def[keyword];
+    delete def[keyword];
+    if (!this.strict) {
+      def[`x-${keyword}`] = deepClone(original);
+    }
+
+    if (!resolved.length || resolved.some((item) => !item || typeof item !== "object")) {
+      delete def.discriminator;
+      this.report("schema-alternatives-dropped", "warning", path, `Dropped ${keyword} with unresolvable alternatives.`);
+      return;
+    }
+
+    if (resolved.every((item) => Array.isArray(item.enum) && !item.properties)) {
+      const values = [];
+      resolved.forEach((item) => {
+        item.enum.forEach((value) => {
+          if (!values.some((existing) => JSON.stringify(existing) === JSON.stringify(value))) {
+            values.push(value);
+          }
+        });
+      });
+      const types = new Set(resolved.map((item) => item.type).filter(Boolean));
+      if (!def.type && types.size === 1) {
+        def.type = Array.from(types)[0];
+      }
+      def.enum = values;
+      delete def.discriminator;
+      this.report("schema-alternatives-enum", "warning", path, `Lowered ${keyword} of enum values to a single enum.`);
+      return;
+    }
+
+    const baseName = path && path.length === 3 && path[0] === "components" && path[1] === "schemas" ? path[2] : null;
+    if (
+      baseName &&
+      def.discriminator &&
+      def.discriminator.propertyName &&
+      alternatives.every((item) => item && typeof item.$ref === "string" && item.$ref.startsWith("#/components/schemas/"))
+    ) {
+      this.lowerDiscriminatedUnion(def, baseName, alternatives, resolved);
+      this.report(
+        "schema-alternatives-inheritance",
+        "warning",
+        path,
+        `Lowered discriminated ${keyword} to allOf subtypes of ${baseName}.`
+      );
+      return;
+    }
+
+    delete def.discriminator;
+    if (resolved.every(isObjectSchema)) {
+      const properties = def.properties || {};
+      let required = null;
+      resolved.forEach((item) => {
+        for (const propName in item.properties || {}) {
+          if (!hasOwnProperty.call(properties, propName)) {
+            properties[propName] = deepClone(item.properties[propName]);
+          }
+        }
+        const itemRequired = Array.isArray(item.required) ? item.required : [];
+        required = required ? required.filter((name) => itemRequired.indexOf(name) >= 0) : itemRequired.slice();
+      });
+      def.type = def.type || "object";
+      def.properties = properties;
+      const mergedRequired = Array.from(new Set((def.required || []).concat(required || [])));
+      if (mergedRequired.length) {
+        def.required = mergedRequired;
+      } else {
+        delete def.required;
+      }
+      this.report("schema-alternatives-merged", "warning", path, `Merged ${keyword} object variants into one object.`);
+      return;
+    }
+
+    const types = new Set(resolved.map((item) => item.type));
+    if (types.size === 1 && !types.has(undefined) && types.values().next().value !== "object") {
+      def.type = def.type || resolved[0].type;
+      const formats = new Set(resolved.map((item) => item.format));
+      if (formats.size === 1 && resolved[0].format && !def.format) {
+        def.format = resolved[0].format;
+      }
+      if (def.type === "array" && !def.items && resolved[0].items) {
+        def.items = deepClone(resolved[0].items);
+      }
+      this.report("schema-alternatives-type", "warning", path, `Lowered ${keyword} to shared type ${def.type}.`);
+      return;
+    }
+
+    this.report("schema-alternatives-dropped", "warning", path, `Dropped ${keyword} with incompatible alternatives.`);
+  }
+
+  lowerDiscriminatedUnion(def, baseName, alternatives, resolved) {
+    const propertyName = def.discriminator.propertyName;
+    const baseRef = `#/components/schemas/${baseName}`;
+    const mapped = new Set();
+    for (const payload in def.discriminator.mapping || {}) {
+      mapped.add(def.discriminator.mapping[payload]);
+    }
+
+    let propertySchema = null;
+    resolved.forEach((item, index) => {
+      if (!propertySchema && item.properties && item.properties[propertyName]) {
+        propertySchema = deepClone(item.properties[propertyName]);
+        delete propertySchema.enum;
+      }
+      const allOf = Array.isArray(item.allOf) ? item.allOf : [];
+      if (!allOf.some((entry) => entry && entry.$ref === baseRef)) {
+        item.allOf = [{ $ref: baseRef }].concat(allOf);
+      }
+      const name = alternatives[index].$ref.slice("#/components/schemas/".length);
+      if (!mapped.has(name) && !mapped.has(alternatives[index].$ref) && item["x-discriminator-value"] === undefined) {
+        item["x-discriminator-value"] = name;
+      }
+    });
+
+    def.type = "object";
+    def.properties = def.properties || {};
+    if (!def.properties[propertyName]) {
+      def.properties[propertyName] = propertySchema || { type: "string" };
+    }
+    def.required = Array.from(new Set((def.required || []).concat(propertyName)));
+  }
+
+  convertComponentParameters() {
+    const parameters = this.spec.components.parameters;
+    if (!parameters) return;
+    this.spec.parameters = this.spec.parameters || {};
+    for (const name in parameters) {
+      const param = this.resolveReference(this.spec, parameters[name], true);
+      this.convertParameter(param, this.diagnostics ? ["components", "parameters", name] : null);
+      this.spec.parameters[name] = param;
+    }
+    delete this.spec.components.parameters;
+  }
+
+  convertComponentResponses() {
+    const responses = this.spec.components.responses;
+    if (!responses) return;
+    this.spec.responses = this.spec.responses || {};
+    for (const name in responses) {
+      const response = this.resolveReference(this.spec, responses[name], true);
+      this.convertResponse(response, this.diagnostics ? ["components", "responses", name] : null);
+      this.spec.responses[name] = response;
+    }
+    delete this.spec.components.responses;
+  }
+
+  convertComponentRequestBodies() {
+    const requestBodies = this.spec.components.requestBodies;
+    if (!requestBodies) return;
+    for (const name in this.requestBodyParameters) {
+      const param = deepClone(requestBodies[name]);
+      const content = param.content;
+      const contentKey = getSupportedMimeTypes(content)[0];
+      const mediaRange = contentKey || Object.keys(content).filter((range) => range.indexOf("/") > 0)[0];
+      delete param.content;
+      this.reportMediaTypes(
+        content,
+        mediaRange,
+        this.diagnostics ? ["components", "requestBodies", name, "content"] : null
+      );
+      param.name = "body";
+      param.in = "body";
+      param.schema = content[mediaRange].schema || (contentKey ? {} : { type: "string", format: "binary" });
+      this.convertSchema(
+        param.schema,
+        "request",
+        this.diagnostics ? ["components", "requestBodies", name, "content", mediaRange, "schema"] : null
+      );
+      this.spec.parameters = this.spec.parameters || {};
+      this.spec.parameters[this.requestBodyParameters[name]] = param;
+      delete requestBodies[name];
+    }
+    if (!Object.keys(requestBodies).length) {
+      delete this.spec.components.requestBodies;
+    }
+  }
+
   convertDiscriminatorMapping(mapping) {
     for (const payload in mapping) {
       const schemaNameOrRef = mapping[payload];
@@ -515,41 +950,295 @@ class Converter {
   }
 
   convertSecurityDefinitions() {
-    this.spec.securityDefinitions = this.spec.components.securitySchemes;
-    for (const secKey in this.spec.securityDefinitions) {
-      const security = this.spec.securityDefinitions[secKey];
-      if (security.type === "http" && security.scheme === "basic") {
+    const schemes = this.spec.components.securitySchemes;
+    const definitions = {};
+    const renames = {};
+    const unsupported = {};
+    for (const secKey in schemes) {
+      const security = schemes[secKey];
+      const httpScheme = security.type === "http" ? String(security.scheme || "").toLowerCase() : null;
+      if (httpScheme === "basic") {
         security.type = "basic";
         delete security.scheme;
-      } else if (security.type === "http" && security.scheme === "bearer") {
+      } else if (httpScheme === "bearer") {
         security.type = "apiKey";
         security.name = "Authorization";
         security.in = "header";
         delete security.scheme;
         delete security.bearerFormat;
-      } else if (security.type === "oauth2") {
-        const flowName = Object.keys(security.flows)[0];
-        const flow = security.flows[flowName];
-
-        if (flowName === "clientCredentials") {
-          security.flow = "application";
-        } else if (flowName === "authorizationCode") {
-          security.flow = "accessCode";
+      } else if (httpScheme !== null) {
+        const schemeName = security.scheme || "unknown";
+        security.type = "apiKey";
+        security.name = "Authorization";
+        security.in = "header";
+        security.description = security.description
+          ? `${security.description} (HTTP ${schemeName} authentication)`
+          : `HTTP ${schemeName} authentication.`;
+        delete security.scheme;
+        delete security.bearerFormat;
+        this.report(
+          "security-http-apikey",
+          "warning",
+          ["components", "securitySchemes", secKey],
+          `Mapped HTTP ${schemeName} security scheme to an Authorization header apiKey.`
+        );
+      } else if (security.type === "openIdConnect") {
+        const configuration = this.openIdConfigurations[security.openIdConnectUrl];
+        const definition = configuration ? convertOpenIdConfiguration(security, configuration) : null;
+        if (definition) {
+          definitions[secKey] = definition;
+          this.report(
+            "security-openid-mapped",
+            "warning",
+            ["components", "securitySchemes", secKey],
+            `Mapped openIdConnect security scheme to OAuth2 ${definition.flow} flow.`
+          );
         } else {
-          security.flow = flowName;
+          unsupported[secKey] = security;
+          renames[secKey] = [];
+          this.report(
+            "security-scheme-dropped",
+            "warning",
+            ["components", "securitySchemes", secKey],
+            "Dropped openIdConnect security scheme; discovery document unavailable.",
+            null
+          );
+        }
+        continue;
+      } else if (security.type === "mutualTLS") {
+        renames[secKey] = [];
+        this.report(
+          "security-scheme-dropped",
+          "warning",
+          ["components", "securitySchemes", secKey],
+          "Dropped mutualTLS security scheme.",
+          null
+        );
+        continue;
+      } else if (security.type === "oauth2") {
+        const flowNames = Object.keys(security.flows || {});
+        if (flowNames.length > 1) {
+          renames[secKey] = flowNames.map((flowName) => {
+            const definition = convertOAuthFlow(security, flowName);
+            const name = `${secKey}_${definition.flow}`;
+            definitions[name] = definition;
+            return name;
+          });
+          this.report(
+            "security-oauth2-split",
+            "info",
+            ["components", "securitySchemes", secKey],
+            `Split OAuth2 security scheme into ${renames[secKey].join(", ")}.`,
+            null
+          );
+          continue;
         }
-        security.authorizationUrl = flow.authorizationUrl;
-        security.tokenUrl = flow.tokenUrl;
-        security.scopes = flow.scopes;
-        delete security.flows;
+        definitions[secKey] = convertOAuthFlow(security, flowNames[0]);
+        continue;
       }
+      definitions[secKey] = security;
     }
+    this.spec.securityDefinitions = definitions;
     delete this.spec.components.securitySchemes;
+    if (!this.strict && Object.keys(unsupported).length) {
+      this.spec["x-unsupported-securitySchemes"] = unsupported;
+    }
+
+    if (Object.keys(renames).length) {
+      this.rewriteSecurityRequirements(renames);
+    }
+  }
+
+  rewriteSecurityRequirements(renames) {
+    const rewrite = (owner) => {
+      if (!Array.isArray(owner.security)) return false;
+      const weakened = owner.security.some((requirement) => referencesDroppedScheme(requirement, renames));
+      owner.security = expandSecurityRequirements(owner.security, renames);
+      return weakened;
+    };
+
+    const globalWeakened = rewrite(this.spec);
+    if (globalWeakened) {
+      if (!this.spec.security.length) {
+        delete this.spec.security;
+      }
+      this.report(
+        "security-requirement-removed",
+        "warning",
+        ["security"],
+        "Removed security requirements that reference a dropped scheme."
+      );
+    }
+    this.operations.forEach(({ operation, pointer }) => {
+      const inherited = !Array.isArray(operation.security);
+      if (inherited ? !globalWeakened : !rewrite(operation)) return;
+      const security = inherited ? this.spec.security : operation.security;
+      const source = inherited ? "Inherited security requirements" : "Security requirements";
+      const effect = security && security.length ? "" : "; the operation no longer requires authentication";
+      this.report(
+        "security-requirement-removed",
+        "warning",
+        pointer.concat("security"),
+        `${source} that reference a dropped scheme were removed${effect}.`
+      );
+    });
+  }
+}
+
+function convertOAuthFlow(security, flowName) {
+  const flow = (security.flows && security.flows[flowName]) || {};
+  const definition = {};
+  for (const key in security) {
+    if (key !== "flows") {
+      definition[key] = security[key];
+    }
+  }
+
+  if (flowName === "clientCredentials") {
+    definition.flow = "application";
+  } else if (flowName === "authorizationCode") {
+    definition.flow = "accessCode";
+  } else {
+    definition.flow = flowName;
+  }
+  if (flow.authorizationUrl !== undefined) {
+    definition.authorizationUrl = flow.authorizationUrl;
   }
+  if (flow.tokenUrl !== undefined) {
+    definition.tokenUrl = flow.tokenUrl;
+  }
+  definition.scopes = flow.scopes || {};
+  return definition;
+}
+
+function convertOpenIdConfiguration(security, configuration) {
+  const grants = Array.isArray(configuration.grant_types_supported)
+    ? configuration.grant_types_supported
+    : ["authorization_code", "implicit"];
+  const authorizationUrl = configuration.authorization_endpoint;
+  const tokenUrl = configuration.token_endpoint;
+  let flow;
+  if (authorizationUrl && tokenUrl && grants.indexOf("authorization_code") >= 0) {
+    flow = "authorizationCode";
+  } else if (authorizationUrl && grants.indexOf("implicit") >= 0) {
+    flow = "implicit";
+  } else if (tokenUrl && grants.indexOf("client_credentials") >= 0) {
+    flow = "clientCredentials";
+  } else if (tokenUrl && grants.indexOf("password") >= 0) {
+    flow = "password";
+  } else {
+    return null;
+  }
+
+  const scopes = {};
+  (Array.isArray(configuration.scopes_supported) ? configuration.scopes_supported : []).forEach((scope) => {
+    scopes[scope] = "";
+  });
+  const oauth = { type: "oauth2", flows: { [flow]: { authorizationUrl, tokenUrl, scopes } } };
+  for (const key in security) {
+    if (key === "description" || key.startsWith("x-")) {
+      oauth[key] = security[key];
+    }
+  }
+  const definition = convertOAuthFlow(oauth, flow);
+  if (flow === "implicit") {
+    delete definition.tokenUrl;
+  } else if (flow !== "authorizationCode") {
+    delete definition.authorizationUrl;
+  }
+  return definition;
+}
+
+function expandSecurityRequirements(requirements, renames) {
+  const expanded = [];
+  requirements.forEach((requirement) => {
+    if (referencesDroppedScheme(requirement, renames)) return;
+    let variants = [{}];
+    for (const name in requirement) {
+      const targets = renames[name] || [name];
+      const scopes = requirement[name];
+      variants = variants.flatMap((variant) =>
+        targets.map((target) => ({ ...variant, [target]: Array.isArray(scopes) ? scopes.slice() : scopes }))
+      );
+    }
+    expanded.push(...variants);
+  });
+  return expanded;
+}
+
+function referencesDroppedScheme(requirement, renames) {
+  if (!requirement || typeof requirement !== "object") return false;
+  return Object.keys(requirement).some((name) => Array.isArray(renames[name]) && !renames[name].length);
+}
+
+function pointerToPath(pointer) {
+  return pointer
+    .slice(2)
+    .split("/")
+    .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+function normalizeWebhookPrefix(prefix) {
+  if (typeof prefix !== "string" || !prefix.trim()) return DEFAULT_WEBHOOK_PREFIX;
+  const trimmed = prefix.trim().replace(/\/+$/, "");
+  if (!trimmed) return "";
+  return trimmed.startsWith("/") ? trimmed : `/${trimmed}`;
+}
+
+function extendPath(path, ...parts) {
+  return path ? path.concat(parts) : null;
+}
+
+function formatPointer(path) {
+  if (!path || !path.length) return "#/";
+  const parts = path.map((part) => String(part).replace(/~/g, "~0").replace(/\//g, "~1"));
+  return `#/${parts.join("/")}`;
+}
+
+function componentName(obj, section) {
+  if (!obj || typeof obj.$ref !== "string") return null;
+  const prefix = `#/components/${section}/`;
+  if (!obj.$ref.startsWith(prefix)) return null;
+  return obj.$ref.slice(prefix.length).replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+function isFormContent(content) {
+  const contentKey = getSupportedMimeTypes(content)[0];
+  return (
+    contentKey === SUPPORTED_MIME_TYPES.APPLICATION_X_WWW_URLENCODED ||
+    contentKey === SUPPORTED_MIME_TYPES.MULTIPART_FORM_DATA
+  );
+}
+
+function collectProduces(operation, content) {
+  if (!content || typeof content !== "object") return;
+  for (const mediaRange in content) {
+    const mediaType = mediaRange.indexOf("*") < 0 ? mediaRange : "application/octet-stream";
+    if (!operation.produces) {
+      operation.produces = [mediaType];
+    } else if (operation.produces.indexOf(mediaType) < 0) {
+      operation.produces.push(mediaType);
+    }
+  }
+}
+
+function isObjectSchema(schema) {
+  return Boolean(schema && (schema.type === "object" || (!schema.type && schema.properties)));
+}
+
+function toTargetPointer(pointer) {
+  const match = /^#\/components\/(schemas|parameters|responses|securitySchemes)(\/.*)?$/.exec(pointer);
+  if (!match) return undefined;
+  const section = match[1] === "schemas" ? "definitions" : match[1] === "securitySchemes" ? "securityDefinitions" : match[1];
+  return `#/${section}${match[2] || ""}`;
 }
 
 function fixRef(ref) {
-  return ref.replace("#/components/schemas/", "#/definitions/").replace("#/components/", "#/x-components/");
+  return ref
+    .replace("#/components/schemas/", "#/definitions/")
+    .replace("#/components/parameters/", "#/parameters/")
+    .replace("#/components/responses/", "#/responses/")
+    .replace("#/components/", "#/x-components/");
 }
 
 function fixRefs(obj) {
@@ -611,9 +1300,24 @@ export function sanitizeSwagger2(spec, options = {}) {
   const log = options && options.log;
   const debug = Boolean(options && options.debug);
   const stripExtensions = options && options.stripExtensions !== undefined ? Boolean(options.stripExtensions) : true;
+  const diagnostics = (options && options.diagnostics) || null;
+  const profile = getSanitizeProfile(options && options.profile);
+  const keepsProfileExtension = (key) => profile.keepExtensions.some((pattern) => pattern.test(key));
+  const keepsExtension = (key) => STRICT_KEPT_EXTENSIONS.has(key) || keepsProfileExtension(key);
+  const report = (code, severity, path, message) => {
+    if (!diagnostics) return;
+    diagnostics.add({
+      code,
+      severity,
+      stage: "sanitize",
+      targetPointer: path ? formatPointer(path) : undefined,
+      message,
+    });
+  };
   let flattenedAllOf = 0;
   let removedKeys = 0;
   let removedExtensions = 0;
+  let translatedKeys = 0;
   const mapContainerKeys = new Set([
     "paths",
     "definitions",
@@ -627,31 +1331,35 @@ export function sanitizeSwagger2(spec, options = {}) {
     "components",
     "properties",
     "examples",
+    "x-webhooks",
+    "x-callbacks",
   ]);
 
   for (let pass = 0; pass < 2; pass += 1) {
     const flattenState = { active: new WeakSet() };
     const seen = new WeakSet();
-    const stack = [{ node: spec, mode: "normal" }];
+    const stack = [{ node: spec, mode: "normal", path: diagnostics ? [] : null }];
     while (stack.length > 0) {
       const current = stack.pop();
       const node = current && current.node;
       const mode = current && current.mode;
+      const path = current && current.path;
       if (!node || typeof node !== "object") continue;
       if (seen.has(node)) continue;
       seen.add(node);
 
       if (Array.isArray(node)) {
-        node.forEach((item) => stack.push({ node: item, mode: "normal" }));
+        node.forEach((item, index) => stack.push({ node: item, mode: "normal", path: extendPath(path, index) }));
         continue;
       }
 
       if (mode === "normal") {
         if (stripExtensions) {
           for (const key in node) {
-            if (key.startsWith("x-")) {
+            if (key.startsWith("x-") && !keepsExtension(key)) {
               delete node[key];
               removedExtensions += 1;
+              report("extension-removed", "info", extendPath(path, key), `Removed extension ${key}.`);
             }
           }
         }
@@ -660,14 +1368,17 @@ export function sanitizeSwagger2(spec, options = {}) {
         if (node.example !== undefined) {
           delete node.example;
           removedKeys += 1;
+          report("keyword-removed", "info", extendPath(path, "example"), "Removed example.");
         }
         if (node.examples !== undefined) {
           delete node.examples;
           removedKeys += 1;
+          report("keyword-removed", "info", extendPath(path, "examples"), "Removed examples.");
         }
         if (schemaLike && node.allOf && Array.isArray(node.allOf)) {
           if (flattenAllOf(node, spec, flattenState)) {
             flattenedAllOf += 1;
+            report("schema-allof-flattened", "info", path, "Flattened allOf into a single schema.");
           }
         }
 
@@ -679,35 +1390,66 @@ export function sanitizeSwagger2(spec, options = {}) {
             }
           }
           for (const key in node) {
-            if (STRICT_SCHEMA_REMOVE_KEYS.has(key)) {
+            if (profile.removeKeywords.has(key)) {
               delete node[key];
               removedKeys += 1;
+              report("keyword-removed", "warning", extendPath(path, key), `Removed unsupported keyword ${key}.`);
               continue;
             }
-            if (key === "additionalProperties") {
+            if (key === "additionalProperties" && !profile.keepKeywords.has(key)) {
               const value = node[key];
               if (value === true || value === false) {
                 delete node[key];
                 removedKeys += 1;
+                report(
+                  "keyword-removed",
+                  value ? "info" : "warning",
+                  extendPath(path, key),
+                  `Removed additionalProperties: ${value}.`
+                );
               }
             }
           }
+          for (const key in profile.renameKeywords) {
+            const target = profile.renameKeywords[key];
+            if (node[key] === undefined || node[target] !== undefined) continue;
+            node[target] = node[key];
+            delete node[key];
+            translatedKeys += 1;
+            report("keyword-translated", "info", extendPath(path, target), `Moved ${key} to ${target}.`);
+          }
+          if (profile.formats && typeof node.format === "string" && !profile.formats.has(node.format)) {
+            report(
+              "keyword-removed",
+              "warning",
+              extendPath(path, "format"),
+              `Removed format ${node.format}, which the ${profile.name} profile does not support.`
+            );
+            delete node.format;
+            removedKeys += 1;
+          }
           ensureSchemaType(node);
         }
       }
 
       for (const key in node) {
+        if (mode === "normal" && key.startsWith("x-") && keepsProfileExtension(key)) continue;
         const childMode = mapContainerKeys.has(key) ? "map" : "normal";
-        stack.push({ node: node[key], mode: childMode });
+        stack.push({ node: node[key], mode: childMode, path: extendPath(path, key) });
       }
     }
   }
 
+  if (profile.definitionName && spec.definitions && typeof spec.definitions === "object") {
+    renameDefinitions(spec, profile.definitionName, report);
+  }
+
   if (debug && log && typeof log.debug === "function") {
     const parts = [];
     if (flattenedAllOf) parts.push(`allOf=${flattenedAllOf}`);
     if (removedKeys) parts.push(`removed=${removedKeys}`);
     if (removedExtensions) parts.push(`x=${removedExtensions}`);
+    if (translatedKeys) parts.push(`translated=${translatedKeys}`);
     if (parts.length) {
       log.debug("sanitize_done", parts.join(" "));
     }
@@ -715,28 +1457,101 @@ export function sanitizeSwagger2(spec, options = {}) {
   return spec;
 }
 
+function renameDefinitions(spec, rename, report) {
+  const names = Object.keys(spec.definitions);
+  const preferred = {};
+  names.forEach((name) => {
+    preferred[name] = rename(name) || name;
+  });
+  const taken = new Set(names.filter((name) => preferred[name] === name));
+  const renames = {};
+  names.forEach((name) => {
+    if (preferred[name] === name) return;
+    let next = preferred[name];
+    for (let suffix = 2; taken.has(next); suffix += 1) {
+      next = `${preferred[name]}${suffix}`;
+    }
+    taken.add(next);
+    renames[name] = next;
+  });
+  if (!Object.keys(renames).length) return;
+
+  const definitions = {};
+  names.forEach((name) => {
+    definitions[renames[name] || name] = spec.definitions[name];
+  });
+  spec.definitions = definitions;
+  const seen = new WeakSet();
+  const stack = [spec];
+  while (stack.length) {
+    const node = stack.pop();
+    if (!node || typeof node !== "object" || seen.has(node)) continue;
+    seen.add(node);
+    if (typeof node.$ref === "string" && node.$ref.startsWith("#/definitions/")) {
+      const parts = node.$ref.split("/");
+      const name = parts[2].replace(/~1/g, "/").replace(/~0/g, "~");
+      if (hasOwnProperty.call(renames, name)) {
+        parts[2] = escapePointer(renames[name]);
+        node.$ref = parts.join("/");
+      }
+    }
+    for (const key in node) {
+      stack.push(node[key]);
+    }
+  }
+  Object.keys(renames).forEach((name) => {
+    const message = `Renamed definition ${name} to ${renames[name]}.`;
+    report("definition-renamed", "info", ["definitions", renames[name]], message);
+  });
+}
+
 export function dereferenceSwagger2(spec, options = {}) {
   if (!spec || typeof spec !== "object") return spec;
   const log = options && options.log;
   const debug = Boolean(options && options.debug);
   const dropDefinitions = options && options.dropDefinitions !== undefined ? Boolean(options.dropDefinitions) : true;
+  const diagnostics = (options && options.diagnostics) || null;
+  const recursive = options && options.keepCycles ? findRecursiveComponents(spec) : new Set();
+  const polymorphic = findPolymorphicDefinitions(spec);
+  const kept = new Set([...recursive, ...polymorphic]);
   const cache = new Map();
   const resolving = new Set();
   let replacedRefs = 0;
   let missingRefs = 0;
   let cycleRefs = 0;
+  let keptRefs = 0;
 
-  const derefNode = (node) => {
+  const derefNode = (node, path) => {
     if (!node || typeof node !== "object") return node;
     if (Array.isArray(node)) {
-      return node.map((item) => derefNode(item));
+      return node.map((item, index) => derefNode(item, extendPath(path, index)));
     }
 
     if (node.$ref && typeof node.$ref === "string") {
       const ref = node.$ref;
-      const resolved = derefRef(ref);
+      if (kept.has(componentKey(ref))) {
+        keptRefs += 1;
+        return node;
+      }
+      const isCycle = resolving.has(ref);
+      const resolved = isCycle ? null : derefRef(ref);
       if (!resolved) {
-        missingRefs += 1;
+        if (isCycle) {
+          cycleRefs += 1;
+        } else {
+          missingRefs += 1;
+        }
+        if (diagnostics) {
+          diagnostics.add({
+            code: isCycle ? "ref-cycle-replaced" : "ref-missing",
+            severity: isCycle ? "warning" : "error",
+            stage: "dereference",
+            targetPointer: formatPointer(path),
+            message: isCycle
+              ? `Replaced circular reference ${ref} with { type: object }.`
+              : `Replaced unresolvable reference ${ref} with { type: object }.`,
+          });
+        }
         const fallback = node.description ? { description: node.description } : {};
         if (!fallback.type) fallback.type = "object";
         return fallback;
@@ -747,11 +1562,11 @@ export function dereferenceSwagger2(spec, options = {}) {
         merged[key] = node[key];
       }
       replacedRefs += 1;
-      return derefNode(merged);
+      return derefNode(merged, path);
     }
 
     for (const key in node) {
-      node[key] = derefNode(node[key]);
+      node[key] = derefNode(node[key], extendPath(path, key));
     }
     return node;
   };
@@ -759,28 +1574,73 @@ export function dereferenceSwagger2(spec, options = {}) {
   const derefRef = (ref) => {
     if (!ref.startsWith("#/")) return null;
     if (cache.has(ref)) return deepClone(cache.get(ref));
-    if (resolving.has(ref)) {
-      cycleRefs += 1;
-      return null;
-    }
     const target = resolveRef(spec, ref);
     if (!target || typeof target !== "object") {
       return null;
     }
     resolving.add(ref);
     const clone = deepClone(target);
-    const resolved = derefNode(clone);
+    const resolved = derefNode(clone, diagnostics ? pointerToPath(ref) : null);
     cache.set(ref, resolved);
     resolving.delete(ref);
     return deepClone(resolved);
   };
 
-  derefNode(spec);
+  derefNode(spec, diagnostics ? [] : null);
 
   if (dropDefinitions) {
-    delete spec.definitions;
-    delete spec.parameters;
-    delete spec.responses;
+    const dropSection = (owner, section, prefix) => {
+      const entries = owner[section];
+      if (entries && typeof entries === "object") {
+        Object.keys(entries)
+          .filter((name) => !kept.has(`${prefix}/${escapePointer(name)}`))
+          .forEach((name) => delete entries[name]);
+      }
+      if (!entries || typeof entries !== "object" || !Object.keys(entries).length) {
+        delete owner[section];
+      }
+    };
+    ["definitions", "parameters", "responses"].forEach((section) => dropSection(spec, section, `#/${section}`));
+    if (spec.components && typeof spec.components === "object") {
+      INLINED_COMPONENT_SECTIONS.forEach((section) => {
+        dropSection(spec.components, section, `#/components/${section}`);
+      });
+      if (!Object.keys(spec.components).length) {
+        delete spec.components;
+      }
+    }
+    if (kept.size) {
+      pruneUnused(spec, { componentsOnly: true });
+    }
+  }
+
+  if (diagnostics && recursive.size) {
+    Array.from(recursive)
+      .filter((key) => resolveRef(spec, key))
+      .sort()
+      .forEach((key) => {
+        diagnostics.add({
+          code: "ref-cycle-kept",
+          severity: "info",
+          stage: "dereference",
+          targetPointer: key,
+          message: `Kept recursive ${key} as a reference instead of inlining it.`,
+        });
+      });
+  }
+  if (diagnostics && polymorphic.size) {
+    Array.from(polymorphic)
+      .filter((key) => !recursive.has(key) && resolveRef(spec, key))
+      .sort()
+      .forEach((key) => {
+        diagnostics.add({
+          code: "ref-polymorphic-kept",
+          severity: "info",
+          stage: "dereference",
+          targetPointer: key,
+          message: `Kept ${key} as a reference because it takes part in a discriminator hierarchy.`,
+        });
+      });
   }
 
   if (debug && log && typeof log.debug === "function") {
@@ -788,6 +1648,7 @@ export function dereferenceSwagger2(spec, options = {}) {
       `refs=${replacedRefs}`,
       missingRefs ? `missing=${missingRefs}` : null,
       cycleRefs ? `cycles=${cycleRefs}` : null,
+      keptRefs ? `kept=${keptRefs}` : null,
     ].filter(Boolean);
     log.debug("deref_done", parts.join(" "));
   }
@@ -795,6 +1656,117 @@ export function dereferenceSwagger2(spec, options = {}) {
   return spec;
 }
 
+function findRecursiveComponents(spec) {
+  const graph = new Map();
+  const addSection = (entries, prefix) => {
+    if (!entries || typeof entries !== "object") return;
+    for (const name in entries) {
+      const refs = new Set();
+      const stack = [entries[name]];
+      while (stack.length) {
+        const node = stack.pop();
+        if (!node || typeof node !== "object") continue;
+        if (typeof node.$ref === "string") {
+          const key = componentKey(node.$ref);
+          if (key) refs.add(key);
+        }
+        for (const key in node) {
+          stack.push(node[key]);
+        }
+      }
+      graph.set(`${prefix}/${escapePointer(name)}`, Array.from(refs));
+    }
+  };
+  ["definitions", "parameters", "responses"].forEach((section) => addSection(spec[section], `#/${section}`));
+  if (spec.components && typeof spec.components === "object") {
+    INLINED_COMPONENT_SECTIONS.forEach((section) => addSection(spec.components[section], `#/components/${section}`));
+  }
+
+  const recursive = new Set();
+  const indexes = new Map();
+  const lowlinks = new Map();
+  const onStack = new Set();
+  const stack = [];
+  let counter = 0;
+  for (const root of graph.keys()) {
+    if (indexes.has(root)) continue;
+    const work = [[root, 0]];
+    while (work.length) {
+      const frame = work[work.length - 1];
+      const [node, position] = frame;
+      if (position === 0) {
+        indexes.set(node, counter);
+        lowlinks.set(node, counter);
+        counter += 1;
+        stack.push(node);
+        onStack.add(node);
+      }
+      const edges = graph.get(node) || [];
+      if (position < edges.length) {
+        frame[1] += 1;
+        const next = edges[position];
+        if (!graph.has(next)) continue;
+        if (next === node) recursive.add(node);
+        if (!indexes.has(next)) {
+          work.push([next, 0]);
+        } else if (onStack.has(next)) {
+          lowlinks.set(node, Math.min(lowlinks.get(node), indexes.get(next)));
+        }
+        continue;
+      }
+      work.pop();
+      if (work.length) {
+        const parent = work[work.length - 1][0];
+        lowlinks.set(parent, Math.min(lowlinks.get(parent), lowlinks.get(node)));
+      }
+      if (lowlinks.get(node) === indexes.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+        if (component.length > 1) component.forEach((key) => recursive.add(key));
+      }
+    }
+  }
+  return recursive;
+}
+
+function findPolymorphicDefinitions(spec) {
+  const definitions = spec.definitions && typeof spec.definitions === "object" ? spec.definitions : {};
+  const polymorphic = new Set();
+  for (const name in definitions) {
+    if (definitions[name] && typeof definitions[name].discriminator === "string") {
+      polymorphic.add(`#/definitions/${escapePointer(name)}`);
+    }
+  }
+  for (let changed = polymorphic.size > 0; changed; ) {
+    changed = false;
+    for (const name in definitions) {
+      const key = `#/definitions/${escapePointer(name)}`;
+      const allOf = definitions[name] && Array.isArray(definitions[name].allOf) ? definitions[name].allOf : [];
+      if (polymorphic.has(key) || !allOf.some((member) => member && polymorphic.has(componentKey(member.$ref)))) {
+        continue;
+      }
+      polymorphic.add(key);
+      changed = true;
+    }
+  }
+  return polymorphic;
+}
+
+function componentKey(ref) {
+  if (!ref || !ref.startsWith("#/")) return null;
+  const parts = ref.split("/");
+  return parts.slice(0, parts[1] === "components" ? 4 : 3).join("/");
+}
+
+function escapePointer(value) {
+  return String(value).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
 function flattenAllOf(schema, root, state) {
   if (!schema || !Array.isArray(schema.allOf) || schema.allOf.length === 0) return false;
   if (state && state.active && state.active.has(schema)) return false;
@@ -817,7 +1789,7 @@ function flattenAllOf(schema, root, state) {
           item.$ref = candidate;
         }
       }
-      if (!resolved || typeof resolved !== "object") {
+      if (!resolved || typeof resolved !== "object" || resolved.discriminator) {
         if (state && state.active) state.active.delete(schema);
         return false;
       }
@@ -0,0 +1,134 @@
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+const OPERATION_ID_MODES = ["generate", "fix", "keep"];
+const WEBHOOK_SECTIONS = ["webhooks", "x-webhooks"];
+const CALLBACK_KEYS = ["callbacks", "x-callbacks"];
+
+export function normalizeOperationIdMode(value) {
+  const mode = String(value || "").trim().toLowerCase();
+  return OPERATION_ID_MODES.indexOf(mode) >= 0 ? mode : "keep";
+}
+
+export function assignOperationIds(spec, options = {}) {
+  const mode = normalizeOperationIdMode(options && options.mode);
+  if (mode === "keep" || !spec || typeof spec !== "object") return spec;
+  const strict = options && options.strict !== undefined ? Boolean(options.strict) : true;
+  const diagnostics = (options && options.diagnostics) || null;
+
+  const operations = [];
+  collectOperations(spec).forEach(({ operation, label, method, pointer }) => {
+    const original = typeof operation.operationId === "string" && operation.operationId.trim()
+      ? operation.operationId
+      : null;
+    let candidate = original;
+    let reason = null;
+    if (!candidate) {
+      candidate = generateOperationId(method, label);
+      reason = "missing";
+    } else if (mode === "fix" && toIdentifier(candidate) !== candidate) {
+      candidate = toIdentifier(candidate) || generateOperationId(method, label);
+      reason = "normalized";
+    }
+    operations.push({ operation, label, method, pointer, original, candidate, reason });
+  });
+
+  const taken = new Set(operations.map((entry) => entry.candidate));
+  const assigned = new Set();
+  const ordered = operations.filter((entry) => !entry.reason).concat(operations.filter((entry) => entry.reason));
+  ordered.forEach((entry) => {
+    let id = entry.candidate;
+    if (assigned.has(id)) {
+      let suffix = 2;
+      while (taken.has(`${entry.candidate}${suffix}`)) suffix += 1;
+      id = `${entry.candidate}${suffix}`;
+      taken.add(id);
+      entry.reason = entry.reason ? `${entry.reason}, duplicate` : "duplicate";
+    }
+    assigned.add(id);
+    if (id === entry.original) return;
+
+    entry.operation.operationId = id;
+    if (entry.original && !strict) {
+      entry.operation["x-original-operationId"] = entry.original;
+    }
+    if (diagnostics) {
+      diagnostics.add({
+        code: entry.original ? "operation-id-renamed" : "operation-id-generated",
+        severity: "info",
+        stage: "operation-ids",
+        targetPointer: `#/${entry.pointer.map(escapePointer).join("/")}/operationId`,
+        message: entry.original
+          ? `Renamed operationId "${entry.original}" to "${id}" (${entry.reason}).`
+          : `Generated operationId "${id}" for ${entry.method.toUpperCase()} ${entry.label}.`,
+      });
+    }
+  });
+  return spec;
+}
+
+function collectOperations(spec) {
+  const operations = [];
+  const visitPathItem = (pathItem, label, pointer) => {
+    if (!pathItem || typeof pathItem !== "object") return;
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation || typeof operation !== "object") continue;
+      operations.push({ operation, label, method, pointer: pointer.concat(method) });
+      CALLBACK_KEYS.forEach((key) => visitCallbacks(operation[key], label, pointer.concat(method, key)));
+    }
+  };
+  const visitCallbacks = (callbacks, label, pointer) => {
+    if (!callbacks || typeof callbacks !== "object") return;
+    for (const name in callbacks) {
+      const callback = callbacks[name];
+      if (!callback || typeof callback !== "object" || callback.$ref) continue;
+      for (const expression in callback) {
+        visitPathItem(callback[expression], `${label}/${name}`, pointer.concat(name, expression));
+      }
+    }
+  };
+
+  if (spec.paths && typeof spec.paths === "object") {
+    for (const path in spec.paths) {
+      visitPathItem(spec.paths[path], path, ["paths", path]);
+    }
+  }
+  WEBHOOK_SECTIONS.forEach((section) => {
+    const webhooks = spec[section];
+    if (!webhooks || typeof webhooks !== "object") return;
+    for (const name in webhooks) {
+      visitPathItem(webhooks[name], name, [section, name]);
+    }
+  });
+  visitCallbacks(spec.components && spec.components.callbacks, "", ["components", "callbacks"]);
+  return operations;
+}
+
+function generateOperationId(method, path) {
+  const words = [method];
+  path
+    .split("/")
+    .filter(Boolean)
+    .forEach((segment) => {
+      const parameter = /^\{(.+)\}$/.exec(segment);
+      words.push(parameter ? `by ${parameter[1]}` : segment);
+    });
+  if (words.length === 1) words.push("root");
+  return toIdentifier(words.join(" "));
+}
+
+function toIdentifier(value) {
+  const words = String(value)
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => (word === word.toUpperCase() ? word.toLowerCase() : word));
+  const name = words
+    .map((word, index) => (index > 0 ? word[0].toUpperCase() : word[0].toLowerCase()) + word.slice(1))
+    .join("");
+  return /^[0-9]/.test(name) ? `op${name}` : name;
+}
+
+function escapePointer(value) {
+  return String(value).replace(/~/g, "~0").replace(/\//g, "~1");
+}
@@ -0,0 +1,109 @@
+const DEFAULT_REMOVED_KEYWORDS = [
+  "$schema",
+  "$id",
+  "anchor",
+  "defs",
+  "$defs",
+  "if",
+  "then",
+  "else",
+  "dependentSchemas",
+  "dependentRequired",
+  "unevaluatedItems",
+  "unevaluatedProperties",
+  "propertyNames",
+  "patternProperties",
+  "contains",
+  "minContains",
+  "maxContains",
+  "prefixItems",
+  "contentEncoding",
+  "contentMediaType",
+  "contentSchema",
+  "const",
+  "nullable",
+  "oneOf",
+  "anyOf",
+  "not",
+  "deprecated",
+  "writeOnly",
+  "examples",
+];
+const SWAGGER2_FORMATS = ["int32", "int64", "float", "double", "byte", "binary", "date", "date-time", "password"];
+
+export const DEFAULT_PROFILE = "default";
+
+export const SANITIZE_PROFILES = {
+  default: {
+    description: "Generic Swagger 2.0: removes keywords 2.0 lacks and every vendor extension.",
+  },
+  "aws-apigateway": {
+    description: "Amazon API Gateway import: Swagger 2.0 formats only and alphanumeric model names.",
+    keepExtensions: ["x-amazon-apigateway-*"],
+    formats: SWAGGER2_FORMATS,
+    definitionName: (name) => toModelName(name),
+  },
+  "azure-autorest": {
+    description: "Azure API Management and AutoRest: keeps x-ms-* extensions and x-nullable.",
+    keepExtensions: ["x-ms-*", "x-nullable"],
+    keepKeywords: ["additionalProperties"],
+  },
+  "google-endpoints": {
+    description: "Google Cloud Endpoints: keeps x-google-* extensions.",
+    keepExtensions: ["x-google-*"],
+  },
+  "power-platform": {
+    description: "Power Platform custom connectors: keeps x-ms-* extensions and turns titles into x-ms-summary.",
+    keepExtensions: ["x-ms-*"],
+    renameKeywords: { title: "x-ms-summary" },
+  },
+};
+
+export class UnknownProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnknownProfileError";
+  }
+}
+
+export function isSanitizeProfile(name) {
+  return Object.prototype.hasOwnProperty.call(SANITIZE_PROFILES, String(name || "").trim().toLowerCase());
+}
+
+export function getSanitizeProfile(value) {
+  if (value && typeof value === "object") return value;
+  const name = String(value || DEFAULT_PROFILE).trim().toLowerCase();
+  if (!isSanitizeProfile(name)) {
+    throw new UnknownProfileError(`profile must be one of ${Object.keys(SANITIZE_PROFILES).join(", ")}.`);
+  }
+  const profile = SANITIZE_PROFILES[name];
+  const keepKeywords = new Set(profile.keepKeywords || []);
+  return {
+    name,
+    removeKeywords: new Set(
+      DEFAULT_REMOVED_KEYWORDS.concat(profile.removeKeywords || []).filter((key) => !keepKeywords.has(key))
+    ),
+    keepKeywords,
+    keepExtensions: (profile.keepExtensions || []).map(compileExtensionPattern),
+    renameKeywords: profile.renameKeywords || {},
+    formats: profile.formats ? new Set(profile.formats) : null,
+    definitionName: profile.definitionName || null,
+  };
+}
+
+function compileExtensionPattern(pattern) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+function toModelName(name) {
+  const model = String(name)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join("");
+  return model || "Model";
+}
@@ -0,0 +1,270 @@
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+const CATEGORIES = [
+  {
+    id: "schema",
+    title: "Schema keywords",
+    prefixes: ["schema-", "keyword-", "json-schema-", "openapi-version-"],
+  },
+  { id: "security", title: "Security", prefixes: ["security-", "openid-"] },
+  { id: "parameters", title: "Parameters", prefixes: ["parameter-"] },
+  { id: "media-types", title: "Media types", prefixes: ["media-type-"] },
+  { id: "webhooks", title: "Webhooks and callbacks", prefixes: ["webhooks-", "callbacks-"] },
+  { id: "references", title: "References", prefixes: ["ref-"] },
+  { id: "other", title: "Other", prefixes: [] },
+];
+const TARGET_SECTIONS = {
+  definitions: "schemas",
+  parameters: "parameters",
+  responses: "responses",
+  securityDefinitions: "securitySchemes",
+};
+
+export function indexOperationUsage(spec) {
+  const graph = new Map();
+  const usage = new Map();
+  const pathOperations = new Map();
+  if (!spec || typeof spec !== "object") {
+    return { operationsFor: () => [] };
+  }
+
+  const resolve = (ref) => {
+    const parts = ref
+      .slice(2)
+      .split("/")
+      .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"));
+    let current = spec;
+    for (const part of parts) {
+      if (!current || typeof current !== "object") return null;
+      current = current[part];
+    }
+    return current || null;
+  };
+
+  const sections = spec.components && typeof spec.components === "object"
+    ? Object.keys(spec.components).map((section) => [`components/${section}`, spec.components[section]])
+    : ["definitions", "parameters", "responses"].map((section) => [section, spec[section]]);
+  for (const [section, entries] of sections) {
+    if (!entries || typeof entries !== "object") continue;
+    for (const name in entries) {
+      graph.set(`#/${section}/${escapePointer(name)}`, collectComponentRefs(entries[name]));
+    }
+  }
+
+  const securitySection = spec.components ? "#/components/securitySchemes" : "#/securityDefinitions";
+  const addOperation = (label, roots, security) => {
+    const pending = [];
+    roots.forEach((root) => collectComponentRefs(root).forEach((key) => pending.push(key)));
+    (Array.isArray(security) ? security : []).forEach((requirement) => {
+      for (const name in requirement || {}) {
+        pending.push(`${securitySection}/${escapePointer(name)}`);
+      }
+    });
+    const reached = new Set();
+    while (pending.length) {
+      const key = pending.pop();
+      if (reached.has(key)) continue;
+      reached.add(key);
+      (graph.get(key) || []).forEach((next) => pending.push(next));
+    }
+    reached.forEach((key) => {
+      if (!usage.has(key)) usage.set(key, new Set());
+      usage.get(key).add(label);
+    });
+  };
+
+  const addPathItems = (container, containerPointer, labelFor) => {
+    if (!container || typeof container !== "object") return;
+    for (const name in container) {
+      let pathItem = container[name];
+      const roots = [];
+      if (pathItem && typeof pathItem.$ref === "string" && pathItem.$ref.startsWith("#/")) {
+        roots.push({ $ref: pathItem.$ref });
+        pathItem = resolve(pathItem.$ref);
+      }
+      if (!pathItem || typeof pathItem !== "object") continue;
+      const labels = [];
+      for (const method of HTTP_METHODS) {
+        if (!pathItem[method]) continue;
+        const label = labelFor(name, method);
+        labels.push(label);
+        const operation = pathItem[method];
+        addOperation(
+          label,
+          roots.concat(operation, { parameters: pathItem.parameters }),
+          operation.security !== undefined ? operation.security : spec.security
+        );
+      }
+      pathOperations.set(`${containerPointer}/${escapePointer(name)}`, labels);
+    }
+  };
+
+  addPathItems(spec.paths, "#/paths", (path, method) => `${method.toUpperCase()} ${path}`);
+  addPathItems(spec.webhooks, "#/webhooks", (name, method) => `${method.toUpperCase()} webhook:${name}`);
+
+  const operationsFor = (pointer) => {
+    if (!pointer || typeof pointer !== "string") return [];
+    const parts = pointer.split("/");
+    if ((parts[1] === "paths" || parts[1] === "webhooks") && parts.length >= 3) {
+      const labels = pathOperations.get(parts.slice(0, 3).join("/")) || [];
+      const method = parts[3];
+      if (method && HTTP_METHODS.indexOf(method) >= 0) {
+        return labels.filter((label) => label.startsWith(`${method.toUpperCase()} `));
+      }
+      return labels;
+    }
+    let key = null;
+    if (parts[1] === "components" && parts.length >= 4) {
+      key = parts.slice(0, 4).join("/");
+    } else if (parts.length >= 3 && TARGET_SECTIONS[parts[1]]) {
+      key = parts.slice(0, 3).join("/");
+      if (!graph.has(key) && spec.components) {
+        key = `#/components/${TARGET_SECTIONS[parts[1]]}/${parts[2]}`;
+      }
+    }
+    return key && usage.has(key) ? Array.from(usage.get(key)) : [];
+  };
+
+  return { operationsFor };
+}
+
+export function buildLossinessReport(diagnostics, usage, meta = {}) {
+  const groups = new Map(CATEGORIES.map((category) => [category.id, []]));
+  for (const entry of diagnostics.entries) {
+    const category = categorize(entry.code);
+    const operations = new Set(usage.operationsFor(entry.sourcePointer));
+    usage.operationsFor(entry.targetPointer).forEach((label) => operations.add(label));
+    groups.get(category.id).push({ ...entry, operations: Array.from(operations).sort() });
+  }
+
+  const categories = [];
+  for (const category of CATEGORIES) {
+    const items = groups.get(category.id);
+    if (!items.length) continue;
+    const bySeverity = {};
+    const operations = new Set();
+    let count = 0;
+    items.forEach((item) => {
+      count += item.count;
+      bySeverity[item.severity] = (bySeverity[item.severity] || 0) + item.count;
+      item.operations.forEach((label) => operations.add(label));
+    });
+    categories.push({
+      id: category.id,
+      title: category.title,
+      count,
+      bySeverity,
+      operations: Array.from(operations).sort(),
+      items,
+    });
+  }
+
+  return {
+    source: meta.source,
+    originalVersion: meta.originalVersion,
+    generatedAt: new Date().toISOString(),
+    summary: diagnostics.summary(),
+    categories,
+  };
+}
+
+export function renderReportHtml(report) {
+  const sections = report.categories
+    .map((category) => {
+      const rows = category.items
+        .map(
+          (item) => `          <tr>
+            <td><code>${escapeHtml(item.code)}</code></td>
+            <td>${escapeHtml(item.severity)}</td>
+            <td>${escapeHtml(item.stage)}</td>
+            <td>${escapeHtml(item.message)}</td>
+            <td>${item.count}</td>
+            <td><code>${escapeHtml(item.sourcePointer || item.targetPointer || "")}</code></td>
+            <td>${escapeHtml(item.operations.join(", "))}</td>
+          </tr>`
+        )
+        .join("\n");
+      return `      <h2>${escapeHtml(category.title)} (${category.count})</h2>
+      <p>Affected operations: ${category.operations.length ? escapeHtml(category.operations.join(", ")) : "none"}</p>
+      <table>
+        <thead>
+          <tr><th>Code</th><th>Severity</th><th>Stage</th><th>Message</th><th>Count</th><th>Pointer</th><th>Operations</th></tr>
+        </thead>
+        <tbody>
+${rows}
+        </tbody>
+      </table>`;
+    })
+    .join("\n");
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="robots" content="noindex" />
+    <title>OpenAPI 2.0 conversion report</title>
+    <style>
+      body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 24px; color: #111; }
+      table { border-collapse: collapse; width: 100%; margin-bottom: 24px; font-size: 13px; }
+      th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+      th { background: #f4f4f4; }
+      code { background: #f0f0f0; padding: 1px 4px; border-radius: 3px; }
+    </style>
+  </head>
+  <body>
+    <main>
+      <h1>OpenAPI 2.0 conversion report</h1>
+      <p>Source: <code>${escapeHtml(report.source || "")}</code></p>
+      <p>Total: ${report.summary.total}${Object.keys(report.summary.bySeverity)
+        .map((severity) => `, ${escapeHtml(severity)}: ${report.summary.bySeverity[severity]}`)
+        .join("")}</p>
+${sections || "      <p>No lossy changes.</p>"}
+    </main>
+  </body>
+</html>`;
+}
+
+function categorize(code) {
+  const value = String(code || "");
+  return (
+    CATEGORIES.find((category) => category.prefixes.some((prefix) => value.startsWith(prefix))) ||
+    CATEGORIES[CATEGORIES.length - 1]
+  );
+}
+
+function collectComponentRefs(root) {
+  const refs = new Set();
+  const seen = new WeakSet();
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (!node || typeof node !== "object") continue;
+    if (seen.has(node)) continue;
+    seen.add(node);
+    if (typeof node.$ref === "string") {
+      const key = componentKey(node.$ref);
+      if (key) refs.add(key);
+    }
+    for (const key in node) {
+      stack.push(node[key]);
+    }
+  }
+  return refs;
+}
+
+function componentKey(ref) {
+  const match = /^#\/(components\/[^/]+|definitions|parameters|responses)\/[^/]+/.exec(ref);
+  return match ? match[0] : null;
+}
+
+function escapePointer(value) {
+  return String(value).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
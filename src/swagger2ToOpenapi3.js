@@ -0,0 +1,554 @@
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+const FORM_MIME_TYPES = ["application/x-www-form-urlencoded", "multipart/form-data"];
+const PARAMETER_SCHEMA_KEYS = [
+  "type",
+  "format",
+  "items",
+  "default",
+  "maximum",
+  "exclusiveMaximum",
+  "minimum",
+  "exclusiveMinimum",
+  "maxLength",
+  "minLength",
+  "pattern",
+  "maxItems",
+  "minItems",
+  "uniqueItems",
+  "enum",
+  "multipleOf",
+];
+const PARAMETER_KEYS = ["name", "in", "description", "required", "allowEmptyValue", "deprecated"];
+const OAUTH_FLOWS = {
+  implicit: "implicit",
+  password: "password",
+  application: "clientCredentials",
+  accessCode: "authorizationCode",
+};
+const hasOwnProperty = Object.prototype.hasOwnProperty;
+
+export function convertSwagger2ToOpenapi3(spec, options = {}) {
+  const converter = new Converter(spec, options);
+  return converter.convert();
+}
+
+class Converter {
+  constructor(spec, options) {
+    this.spec = spec;
+    this.log = options && options.log;
+    this.debug = Boolean(options && options.debug);
+    this.target = options && options.target === "3.1" ? "3.1" : "3.0";
+    this.diagnostics = (options && options.diagnostics) || null;
+    this.sourceUrl = options && options.sourceUrl;
+    this.requestBodyRefs = {};
+    this.formDataRefs = new Set();
+  }
+
+  convert() {
+    const startedAt = Date.now();
+    const spec = this.spec;
+    const result = {
+      openapi: this.target === "3.1" ? "3.1.0" : "3.0.3",
+      info: spec.info,
+    };
+    copyExtensions(spec, result);
+
+    const servers = this.convertServers(spec.schemes);
+    if (servers.length) {
+      result.servers = servers;
+    }
+
+    const components = {};
+    if (spec.definitions) {
+      components.schemas = {};
+      for (const name in spec.definitions) {
+        components.schemas[name] = this.convertSchema(spec.definitions[name], ["definitions", name]);
+      }
+    }
+    if (spec.parameters) {
+      for (const name in spec.parameters) {
+        const param = spec.parameters[name];
+        const ref = `#/parameters/${escapePointer(name)}`;
+        if (param && param.in === "body") {
+          components.requestBodies = components.requestBodies || {};
+          components.requestBodies[name] = this.convertBodyParameter(param, spec.consumes, ["parameters", name]);
+          this.requestBodyRefs[ref] = `#/components/requestBodies/${escapePointer(name)}`;
+        } else if (param && param.in === "formData") {
+          this.formDataRefs.add(ref);
+        } else {
+          components.parameters = components.parameters || {};
+          components.parameters[name] = this.convertParameter(param, ["parameters", name]);
+        }
+      }
+    }
+    if (spec.responses) {
+      components.responses = {};
+      for (const name in spec.responses) {
+        components.responses[name] = this.convertResponse(spec.responses[name], spec.produces, ["responses", name]);
+      }
+    }
+    if (spec.securityDefinitions) {
+      components.securitySchemes = {};
+      for (const name in spec.securityDefinitions) {
+        components.securitySchemes[name] = convertSecurityScheme(spec.securityDefinitions[name]);
+      }
+    }
+
+    result.paths = {};
+    for (const path in spec.paths || {}) {
+      const pathItem = spec.paths[path];
+      if (path.startsWith("x-")) {
+        result.paths[path] = pathItem;
+        continue;
+      }
+      result.paths[path] = this.convertPathItem(pathItem, ["paths", path]);
+    }
+
+    if (Object.keys(components).length) {
+      result.components = components;
+    }
+    ["security", "tags", "externalDocs"].forEach((key) => {
+      if (spec[key] !== undefined) {
+        result[key] = spec[key];
+      }
+    });
+
+    this.fixRefs(result);
+    if (this.debug && this.log && typeof this.log.debug === "function") {
+      this.log.debug("upgrade_done", `target=${this.target}`, `${Date.now() - startedAt}ms`);
+    }
+    return result;
+  }
+
+  report(code, severity, path, message) {
+    if (!this.diagnostics) return;
+    this.diagnostics.add({
+      code,
+      severity,
+      stage: "convert",
+      sourcePointer: path ? formatPointer(path) : undefined,
+      message,
+    });
+  }
+
+  resolveReference(obj) {
+    if (!obj || typeof obj.$ref !== "string" || !obj.$ref.startsWith("#/")) return obj;
+    const parts = obj.$ref
+      .slice(2)
+      .split("/")
+      .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"));
+    let current = this.spec;
+    for (const part of parts) {
+      if (!current || typeof current !== "object") return null;
+      current = current[part];
+    }
+    return current || null;
+  }
+
+  convertServers(schemes) {
+    const host = this.spec.host;
+    const basePath = this.spec.basePath || "";
+    if (!host) {
+      return basePath ? [{ url: basePath }] : [];
+    }
+    const list = Array.isArray(schemes) && schemes.length ? schemes : [this.defaultScheme()];
+    return list.map((scheme) => ({ url: `${scheme}://${host}${basePath}` }));
+  }
+
+  defaultScheme() {
+    try {
+      const protocol = new URL(this.sourceUrl).protocol.replace(":", "");
+      if (protocol === "http" || protocol === "https") return protocol;
+    } catch (error) {
+      // Fall through to https when the source URL is missing or not absolute.
+    }
+    return "https";
+  }
+
+  convertPathItem(pathItem, pointer) {
+    const result = {};
+    const sharedParameters = [];
+    const sharedBodyParameters = [];
+    (pathItem.parameters || []).forEach((param, index) => {
+      const resolved = this.resolveReference(param);
+      if (resolved && (resolved.in === "body" || resolved.in === "formData")) {
+        sharedBodyParameters.push(param);
+      } else if (param && param.$ref) {
+        sharedParameters.push({ $ref: param.$ref });
+      } else if (resolved) {
+        sharedParameters.push(this.convertParameter(resolved, pointer.concat("parameters", index)));
+      }
+    });
+
+    for (const key in pathItem) {
+      if (key === "parameters") continue;
+      if (HTTP_METHODS.indexOf(key) >= 0) {
+        result[key] = this.convertOperation(pathItem[key], sharedBodyParameters, pointer.concat(key));
+      } else {
+        result[key] = pathItem[key];
+      }
+    }
+    if (sharedParameters.length) {
+      result.parameters = sharedParameters;
+    }
+    return result;
+  }
+
+  convertOperation(operation, sharedBodyParameters, pointer) {
+    const result = {};
+    const consumes = operation.consumes || this.spec.consumes;
+    const produces = operation.produces || this.spec.produces;
+    for (const key in operation) {
+      if (["parameters", "responses", "consumes", "produces", "schemes"].indexOf(key) >= 0) continue;
+      result[key] = operation[key];
+    }
+
+    const parameters = [];
+    const formParameters = [];
+    let requestBody;
+    const params = sharedBodyParameters.concat(operation.parameters || []);
+    params.forEach((param, index) => {
+      const paramPath = pointer.concat("parameters", index - sharedBodyParameters.length);
+      if (param && param.$ref && hasOwnProperty.call(this.requestBodyRefs, param.$ref)) {
+        requestBody = { $ref: param.$ref };
+        return;
+      }
+      const resolved = this.resolveReference(param);
+      if (!resolved) {
+        this.report("ref-missing", "error", paramPath, `Dropped unresolvable parameter reference ${param.$ref}.`);
+        return;
+      }
+      if (resolved.in === "body") {
+        requestBody = this.convertBodyParameter(resolved, consumes, paramPath);
+      } else if (resolved.in === "formData") {
+        const existing = formParameters.findIndex((item) => item.name === resolved.name);
+        if (existing >= 0) {
+          formParameters.splice(existing, 1);
+        }
+        formParameters.push(resolved);
+      } else if (param.$ref) {
+        parameters.push({ $ref: param.$ref });
+      } else {
+        parameters.push(this.convertParameter(resolved, paramPath));
+      }
+    });
+    if (parameters.length) {
+      result.parameters = parameters;
+    }
+    if (formParameters.length) {
+      requestBody = this.convertFormParameters(formParameters, consumes);
+    }
+    if (requestBody) {
+      result.requestBody = requestBody;
+    }
+
+    result.responses = {};
+    for (const code in operation.responses || {}) {
+      const response = operation.responses[code];
+      result.responses[code] =
+        response && response.$ref
+          ? { $ref: response.$ref }
+          : this.convertResponse(response, produces, pointer.concat("responses", code));
+    }
+
+    if (Array.isArray(operation.schemes) && operation.schemes.length) {
+      result.servers = this.convertServers(operation.schemes);
+      this.report("operation-schemes-to-servers", "info", pointer.concat("schemes"), "Converted operation schemes to servers.");
+    }
+    return result;
+  }
+
+  convertParameter(param, pointer) {
+    const result = {};
+    PARAMETER_KEYS.forEach((key) => {
+      if (param[key] !== undefined) {
+        result[key] = param[key];
+      }
+    });
+    copyExtensions(param, result, ["x-example", "x-nullable"]);
+    if (param.in === "path") {
+      result.required = true;
+    }
+    if (param["x-example"] !== undefined) {
+      result.example = param["x-example"];
+    }
+    result.schema = this.convertSchema(parameterSchema(param), pointer);
+
+    if (param.type === "array") {
+      const collectionFormat = param.collectionFormat || "csv";
+      if (param.in === "query") {
+        if (collectionFormat === "multi") {
+          result.style = "form";
+          result.explode = true;
+        } else if (collectionFormat === "ssv") {
+          result.style = "spaceDelimited";
+          result.explode = false;
+        } else if (collectionFormat === "pipes") {
+          result.style = "pipeDelimited";
+          result.explode = false;
+        } else {
+          result.style = "form";
+          result.explode = false;
+        }
+      } else if (collectionFormat !== "csv") {
+        result.style = "simple";
+      }
+      if (collectionFormat === "tsv" || (param.in !== "query" && collectionFormat !== "csv")) {
+        this.report(
+          "parameter-collection-format-approximated",
+          "warning",
+          pointer,
+          `collectionFormat ${collectionFormat} has no OpenAPI 3 style equivalent for ${param.in} parameters.`
+        );
+      }
+    }
+    return result;
+  }
+
+  convertBodyParameter(param, consumes, pointer) {
+    const types = (Array.isArray(consumes) ? consumes : []).filter((type) => FORM_MIME_TYPES.indexOf(type) < 0);
+    const schema = this.convertSchema(param.schema || {}, pointer.concat("schema"));
+    const result = {};
+    if (param.description) {
+      result.description = param.description;
+    }
+    result.content = {};
+    (types.length ? types : ["application/json"]).forEach((type) => {
+      result.content[type] = { schema };
+    });
+    if (param.required) {
+      result.required = true;
+    }
+    copyExtensions(param, result);
+    return result;
+  }
+
+  convertFormParameters(params, consumes) {
+    let types = (Array.isArray(consumes) ? consumes : []).filter((type) => FORM_MIME_TYPES.indexOf(type) >= 0);
+    if (!types.length) {
+      types = params.some((param) => param.type === "file") ? ["multipart/form-data"] : [FORM_MIME_TYPES[0]];
+    }
+    const schema = { type: "object", properties: {} };
+    const required = [];
+    params.forEach((param) => {
+      const property = this.convertSchema(parameterSchema(param));
+      if (param.description) {
+        property.description = param.description;
+      }
+      schema.properties[param.name] = property;
+      if (param.required) {
+        required.push(param.name);
+      }
+    });
+    if (required.length) {
+      schema.required = required;
+    }
+
+    const result = { content: {} };
+    types.forEach((type) => {
+      result.content[type] = { schema };
+    });
+    if (required.length) {
+      result.required = true;
+    }
+    return result;
+  }
+
+  convertResponse(response, produces, pointer) {
+    const result = { description: (response && response.description) || "" };
+    if (!response || typeof response !== "object") return result;
+    copyExtensions(response, result);
+
+    const types = Array.isArray(produces) && produces.length ? produces : ["application/json"];
+    if (response.schema) {
+      const schema = this.convertSchema(response.schema, pointer.concat("schema"));
+      result.content = {};
+      types.forEach((type) => {
+        result.content[type] = { schema };
+      });
+    }
+    if (response.examples && typeof response.examples === "object") {
+      result.content = result.content || {};
+      for (const type in response.examples) {
+        result.content[type] = result.content[type] || {};
+        result.content[type].example = response.examples[type];
+      }
+    }
+    if (response.headers) {
+      result.headers = {};
+      for (const name in response.headers) {
+        const header = response.headers[name];
+        const converted = {};
+        if (header.description) {
+          converted.description = header.description;
+        }
+        converted.schema = this.convertSchema(parameterSchema(header), pointer.concat("headers", name));
+        result.headers[name] = converted;
+      }
+    }
+    return result;
+  }
+
+  convertSchema(schema, pointer) {
+    if (!schema || typeof schema !== "object" || Array.isArray(schema)) return schema;
+    const result = {};
+    for (const key in schema) {
+      const value = schema[key];
+      if (key === "x-nullable") continue;
+      if (key === "discriminator" && typeof value === "string") {
+        result.discriminator = { propertyName: value };
+      } else if (key === "properties" && value && typeof value === "object") {
+        result.properties = {};
+        for (const name in value) {
+          result.properties[name] = this.convertSchema(value[name], extendPath(pointer, "properties", name));
+        }
+      } else if (key === "items" && Array.isArray(value)) {
+        result.items = value.map((item, index) => this.convertSchema(item, extendPath(pointer, "items", index)));
+      } else if ((key === "items" || key === "additionalProperties" || key === "not") && value && typeof value === "object") {
+        result[key] = this.convertSchema(value, extendPath(pointer, key));
+      } else if ((key === "allOf" || key === "anyOf" || key === "oneOf") && Array.isArray(value)) {
+        result[key] = value.map((item, index) => this.convertSchema(item, extendPath(pointer, key, index)));
+      } else {
+        result[key] = value;
+      }
+    }
+
+    if (result.type === "file") {
+      result.type = "string";
+      result.format = "binary";
+    }
+
+    if (this.target === "3.1") {
+      ["Minimum", "Maximum"].forEach((suffix) => {
+        const bound = suffix.toLowerCase();
+        const exclusive = `exclusive${suffix}`;
+        if (result[exclusive] === true && typeof result[bound] === "number") {
+          result[exclusive] = result[bound];
+          delete result[bound];
+        } else if (typeof result[exclusive] === "boolean") {
+          delete result[exclusive];
+        }
+      });
+    }
+
+    if (schema["x-nullable"] === true) {
+      return this.convertNullable(result, pointer);
+    }
+    return result;
+  }
+
+  convertNullable(schema, pointer) {
+    if (schema.$ref) {
+      const { $ref, ...siblings } = schema;
+      if (this.target === "3.1") {
+        return { ...siblings, anyOf: [{ $ref }, { type: "null" }] };
+      }
+      return { ...siblings, allOf: [{ $ref }], nullable: true };
+    }
+    if (this.target !== "3.1") {
+      schema.nullable = true;
+      return schema;
+    }
+    if (typeof schema.type === "string") {
+      schema.type = [schema.type, "null"];
+      if (Array.isArray(schema.enum) && schema.enum.indexOf(null) < 0) {
+        schema.enum = schema.enum.concat(null);
+      }
+      return schema;
+    }
+    this.report("schema-nullable-dropped", "warning", pointer, "Dropped x-nullable on a schema without a type.");
+    return schema;
+  }
+
+  fixRefs(obj) {
+    const seen = new WeakSet();
+    const stack = [obj];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!node || typeof node !== "object") continue;
+      if (seen.has(node)) continue;
+      seen.add(node);
+      if (typeof node.$ref === "string") {
+        node.$ref = this.fixRef(node.$ref);
+      }
+      for (const key in node) {
+        if (key !== "$ref") {
+          stack.push(node[key]);
+        }
+      }
+    }
+  }
+
+  fixRef(ref) {
+    if (hasOwnProperty.call(this.requestBodyRefs, ref)) {
+      return this.requestBodyRefs[ref];
+    }
+    return ref
+      .replace(/^#\/definitions\//, "#/components/schemas/")
+      .replace(/^#\/parameters\//, "#/components/parameters/")
+      .replace(/^#\/responses\//, "#/components/responses/");
+  }
+}
+
+function parameterSchema(param) {
+  const schema = {};
+  PARAMETER_SCHEMA_KEYS.forEach((key) => {
+    if (param[key] !== undefined) {
+      schema[key] = key === "items" && param.items && typeof param.items === "object" ? parameterSchema(param.items) : param[key];
+    }
+  });
+  if (param["x-nullable"] !== undefined) {
+    schema["x-nullable"] = param["x-nullable"];
+  }
+  return schema;
+}
+
+function convertSecurityScheme(security) {
+  const result = {};
+  if (security.type === "basic") {
+    result.type = "http";
+    result.scheme = "basic";
+  } else if (security.type === "oauth2") {
+    const flowName = OAUTH_FLOWS[security.flow] || security.flow;
+    const flow = {};
+    if (security.authorizationUrl !== undefined) {
+      flow.authorizationUrl = security.authorizationUrl;
+    }
+    if (security.tokenUrl !== undefined) {
+      flow.tokenUrl = security.tokenUrl;
+    }
+    flow.scopes = security.scopes || {};
+    result.type = "oauth2";
+    result.flows = { [flowName]: flow };
+  } else {
+    result.type = security.type;
+    if (security.name !== undefined) result.name = security.name;
+    if (security.in !== undefined) result.in = security.in;
+  }
+  if (security.description) {
+    result.description = security.description;
+  }
+  copyExtensions(security, result);
+  return result;
+}
+
+function copyExtensions(source, target, exclude = []) {
+  for (const key in source) {
+    if (key.startsWith("x-") && exclude.indexOf(key) < 0) {
+      target[key] = source[key];
+    }
+  }
+}
+
+function extendPath(path, ...parts) {
+  return path ? path.concat(parts) : null;
+}
+
+function escapePointer(value) {
+  return String(value).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function formatPointer(path) {
+  if (!path || !path.length) return "#/";
+  return `#/${path.map(escapePointer).join("/")}`;
+}
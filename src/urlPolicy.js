@@ -0,0 +1,149 @@
+export const DEFAULT_MAX_REDIRECTS = 5;
+
+const BLOCKED_HOST_SUFFIXES = [".localhost", ".local", ".localdomain", ".internal", ".home.arpa"];
+const BLOCKED_IPV4_RANGES = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+];
+
+export class BlockedUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BlockedUrlError";
+  }
+}
+
+export function createUrlPolicy(env) {
+  const allowPrivate = env && env.ALLOW_PRIVATE_URLS !== undefined ? parseFlag(env.ALLOW_PRIVATE_URLS) : false;
+  const maxRedirects = env && env.MAX_REDIRECTS !== undefined ? Number.parseInt(env.MAX_REDIRECTS, 10) : NaN;
+  return {
+    allowPrivate,
+    maxRedirects: Number.isFinite(maxRedirects) && maxRedirects >= 0 ? maxRedirects : DEFAULT_MAX_REDIRECTS,
+    allowedHosts: parseHostList(env && env.ALLOWED_HOSTS),
+    deniedHosts: parseHostList(env && env.DENIED_HOSTS),
+  };
+}
+
+export function assertUrlAllowed(value, policy) {
+  let url;
+  try {
+    url = value instanceof URL ? value : new URL(String(value));
+  } catch (error) {
+    throw new BlockedUrlError(`Invalid URL: ${value}`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new BlockedUrlError(`Only http and https URLs can be fetched: ${url.href}`);
+  }
+  const allowedHosts = (policy && policy.allowedHosts) || [];
+  const deniedHosts = (policy && policy.deniedHosts) || [];
+  if (deniedHosts.some((pattern) => matchesHost(url.hostname, pattern))) {
+    throw new BlockedUrlError(`Fetching ${url.host} is not allowed: host is denied.`);
+  }
+  if (allowedHosts.length && !allowedHosts.some((pattern) => matchesHost(url.hostname, pattern))) {
+    throw new BlockedUrlError(`Fetching ${url.host} is not allowed: host is not in the allowed list.`);
+  }
+  const listed = allowedHosts.indexOf(normalizeHost(url.hostname)) >= 0;
+  if (!(policy && policy.allowPrivate) && !listed && isPrivateHost(url.hostname)) {
+    throw new BlockedUrlError(`Fetching ${url.host} is not allowed: private, loopback or link-local address.`);
+  }
+  return url;
+}
+
+export function hostMatches(hostname, patterns) {
+  return patterns.some((pattern) => matchesHost(hostname, normalizeHost(pattern)));
+}
+
+function matchesHost(hostname, pattern) {
+  const host = normalizeHost(hostname);
+  if (pattern.startsWith("*.")) {
+    return host.endsWith(pattern.slice(1));
+  }
+  return host === pattern;
+}
+
+function normalizeHost(hostname) {
+  return hostname.toLowerCase().replace(/\.$/, "");
+}
+
+function isPrivateHost(hostname) {
+  const host = normalizeHost(hostname);
+  if (host.startsWith("[") && host.endsWith("]")) {
+    return isPrivateIpv6(host.slice(1, -1));
+  }
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(host)) {
+    return isPrivateIpv4(host);
+  }
+  if (!host.includes(".") || host === "localhost") return true;
+  return BLOCKED_HOST_SUFFIXES.some((suffix) => host.endsWith(suffix));
+}
+
+function isPrivateIpv4(address) {
+  const value = ipv4ToNumber(address);
+  if (value === null) return true;
+  if (value === 0xffffffff) return true;
+  return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+    const mask = bits === 0 ? 0 : (0xffffffff << (32 - bits)) >>> 0;
+    return ((value & mask) >>> 0) === ((ipv4ToNumber(base) & mask) >>> 0);
+  });
+}
+
+function isPrivateIpv6(address) {
+  const groups = expandIpv6(address);
+  if (!groups) return true;
+  if (groups.slice(0, 7).every((group) => group === 0) && groups[7] <= 1) return true;
+  if ((groups[0] & 0xfe00) === 0xfc00) return true;
+  if ((groups[0] & 0xffc0) === 0xfe80) return true;
+  if ((groups[0] & 0xff00) === 0xff00) return true;
+  const mapped = groups.slice(0, 5).every((group) => group === 0) && groups[5] === 0xffff;
+  const translated = groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every((group) => group === 0);
+  if (mapped || translated) {
+    return isPrivateIpv4(`${groups[6] >> 8}.${groups[6] & 0xff}.${groups[7] >> 8}.${groups[7] & 0xff}`);
+  }
+  return false;
+}
+
+function expandIpv6(address) {
+  let text = address.split("%")[0];
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (dotted) {
+    const value = ipv4ToNumber(dotted[1]);
+    if (value === null) return null;
+    text = `${text.slice(0, -dotted[1].length)}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+  const halves = text.split("::");
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(":") : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(":") : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+  const groups = head.concat(new Array(halves.length === 2 ? missing : 0).fill("0"), tail);
+  if (groups.some((group) => !/^[0-9a-f]{1,4}$/.test(group))) return null;
+  return groups.map((group) => Number.parseInt(group, 16));
+}
+
+function ipv4ToNumber(address) {
+  const parts = address.split(".").map(Number);
+  if (parts.length !== 4 || parts.some((part) => !Number.isInteger(part) || part < 0 || part > 255)) {
+    return null;
+  }
+  return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
+}
+
+function parseHostList(value) {
+  return (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((entry) => normalizeHost(String(entry).trim()))
+    .filter(Boolean);
+}
+
+function parseFlag(value) {
+  return ["1", "true", "yes", "on"].indexOf(String(value).trim().toLowerCase()) >= 0;
+}
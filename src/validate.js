@@ -0,0 +1,264 @@
+import { Validator } from "@cfworker/json-schema";
+import OpenapiSchemasModule from "@apidevtools/openapi-schemas";
+import jsonSchemaDraft04 from "./schemas/jsonSchemaDraft04.js";
+
+const OpenapiSchemas = OpenapiSchemasModule.default ?? OpenapiSchemasModule;
+
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch"];
+const STRUCTURAL_KEYWORDS = new Set([
+  "$ref",
+  "$dynamicRef",
+  "properties",
+  "patternProperties",
+  "additionalProperties",
+  "unevaluatedProperties",
+  "items",
+  "allOf",
+  "if",
+  "then",
+  "else",
+  "dependentSchemas",
+]);
+const BRANCH_KEYWORDS = new Set(["oneOf", "anyOf"]);
+
+const OPENAPI3_SCHEMAS = {
+  "3.0": { schema: OpenapiSchemas.openapiV3, draft: "4" },
+  "3.1": { schema: withPathItemRef(OpenapiSchemas.openapiV31), draft: "2020-12" },
+};
+
+let swagger2Validator = null;
+const openapi3Validators = {};
+
+export function validateSwagger2(spec) {
+  const errors = [];
+  if (!swagger2Validator) {
+    swagger2Validator = new Validator(OpenapiSchemas.openapiV2, "4", false);
+    swagger2Validator.addSchema(jsonSchemaDraft04);
+  }
+  collectSchemaErrors(swagger2Validator.validate(spec), errors);
+  if (spec && typeof spec === "object") {
+    checkOperations(spec, errors);
+    checkRefs(spec, errors);
+  }
+  return errors;
+}
+
+export function validateOpenapi3(spec) {
+  const errors = [];
+  const match = spec && typeof spec.openapi === "string" ? /^3\.([01])\./.exec(spec.openapi) : null;
+  if (!match) {
+    errors.push({
+      rule: "unsupported-version",
+      pointer: "#/openapi",
+      message: `OpenAPI version ${spec && spec.openapi} is not supported; expected 3.0.x or 3.1.x.`,
+    });
+    return errors;
+  }
+  const version = `3.${match[1]}`;
+  if (!openapi3Validators[version]) {
+    const { schema, draft } = OPENAPI3_SCHEMAS[version];
+    const validator = new Validator(stripFormats(schema), draft, false);
+    if (draft === "4") {
+      validator.addSchema(jsonSchemaDraft04);
+    }
+    openapi3Validators[version] = validator;
+  }
+  collectSchemaErrors(openapi3Validators[version].validate(spec), errors);
+  checkRefs(spec, errors);
+  return errors;
+}
+
+function withPathItemRef(schema) {
+  const pathItem = schema.$defs["path-item"];
+  if (pathItem.properties.$ref) return schema;
+  return {
+    ...schema,
+    $defs: {
+      ...schema.$defs,
+      "path-item": { ...pathItem, properties: { $ref: { type: "string" }, ...pathItem.properties } },
+    },
+  };
+}
+
+function stripFormats(schema) {
+  if (Array.isArray(schema)) return schema.map(stripFormats);
+  if (!schema || typeof schema !== "object") return schema;
+  const copy = {};
+  for (const key in schema) {
+    if (key === "format" && typeof schema[key] === "string") continue;
+    copy[key] = stripFormats(schema[key]);
+  }
+  return copy;
+}
+
+function collectSchemaErrors(result, errors) {
+  if (result.valid) return;
+  const branches = [];
+  const seen = new Set();
+  for (const error of result.errors) {
+    if (STRUCTURAL_KEYWORDS.has(error.keyword)) continue;
+    const pointer = decodeInstanceLocation(error.instanceLocation);
+    if (seen.has(pointer) || branches.some((location) => pointer.startsWith(`${location}/`))) continue;
+    if (error.keyword === "false" && Array.from(seen).some((location) => location.startsWith(`${pointer}/`))) continue;
+    seen.add(pointer);
+    if (BRANCH_KEYWORDS.has(error.keyword)) {
+      branches.push(pointer);
+    }
+    const message = error.keyword === "false"
+      ? `Property "${lastSegment(pointer)}" is not allowed.`
+      : error.keyword === "oneOf" || error.keyword === "anyOf"
+        ? "Value does not match any of the allowed shapes."
+        : error.error;
+    errors.push({ rule: "schema", pointer, message });
+  }
+}
+
+function checkOperations(spec, errors) {
+  const operationIds = new Map();
+  const paths = spec.paths && typeof spec.paths === "object" ? spec.paths : {};
+  for (const path in paths) {
+    const pathItem = paths[path];
+    if (!pathItem || typeof pathItem !== "object" || path.startsWith("x-")) continue;
+    const pathPointer = ["paths", path];
+    const templateNames = [];
+    path.replace(/\{([^}]+)\}/g, (match, name) => {
+      templateNames.push(name);
+      return match;
+    });
+    const shared = resolveParameters(spec, pathItem.parameters, pathPointer);
+
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation || typeof operation !== "object") continue;
+      const operationPointer = pathPointer.concat(method);
+
+      if (typeof operation.operationId === "string") {
+        const existing = operationIds.get(operation.operationId);
+        if (existing) {
+          errors.push({
+            rule: "duplicate-operation-id",
+            pointer: formatPointer(operationPointer.concat("operationId")),
+            message: `operationId ${operation.operationId} is already used by ${existing}.`,
+          });
+        } else {
+          operationIds.set(operation.operationId, formatPointer(operationPointer));
+        }
+      }
+
+      const parameters = new Map();
+      shared.forEach((entry) => parameters.set(`${entry.param.in}:${entry.param.name}`, entry));
+      resolveParameters(spec, operation.parameters, operationPointer).forEach((entry) => {
+        parameters.set(`${entry.param.in}:${entry.param.name}`, entry);
+      });
+      const effective = Array.from(parameters.values());
+
+      const bodies = effective.filter((entry) => entry.param.in === "body");
+      if (bodies.length > 1) {
+        errors.push({
+          rule: "multiple-body-parameters",
+          pointer: formatPointer(bodies[1].pointer),
+          message: "Operations can have at most one body parameter.",
+        });
+      }
+      if (bodies.length && effective.some((entry) => entry.param.in === "formData")) {
+        errors.push({
+          rule: "body-and-form-data",
+          pointer: formatPointer(bodies[0].pointer),
+          message: "body and formData parameters cannot be used together.",
+        });
+      }
+
+      templateNames.forEach((name) => {
+        if (!parameters.has(`path:${name}`)) {
+          errors.push({
+            rule: "path-parameter-undeclared",
+            pointer: formatPointer(operationPointer),
+            message: `Path parameter ${name} is not declared.`,
+          });
+        }
+      });
+      effective.forEach((entry) => {
+        if (entry.param.in === "path" && templateNames.indexOf(entry.param.name) < 0) {
+          errors.push({
+            rule: "path-parameter-unused",
+            pointer: formatPointer(entry.pointer),
+            message: `Path parameter ${entry.param.name} does not appear in ${path}.`,
+          });
+        }
+      });
+    }
+  }
+}
+
+function resolveParameters(spec, parameters, basePath) {
+  if (!Array.isArray(parameters)) return [];
+  const resolved = [];
+  parameters.forEach((param, index) => {
+    const pointer = basePath.concat("parameters", index);
+    const target = param && typeof param.$ref === "string" ? resolvePointer(spec, param.$ref) : param;
+    if (target && typeof target === "object" && typeof target.in === "string") {
+      resolved.push({ param: target, pointer });
+    }
+  });
+  return resolved;
+}
+
+function checkRefs(spec, errors) {
+  const seen = new WeakSet();
+  const stack = [{ node: spec, path: [] }];
+  while (stack.length > 0) {
+    const { node, path } = stack.pop();
+    if (!node || typeof node !== "object") continue;
+    if (seen.has(node)) continue;
+    seen.add(node);
+    if (typeof node.$ref === "string" && resolvePointer(spec, node.$ref) === undefined) {
+      errors.push({
+        rule: "ref-unresolvable",
+        pointer: formatPointer(path.concat("$ref")),
+        message: `Reference ${node.$ref} cannot be resolved.`,
+      });
+    }
+    for (const key in node) {
+      if (key === "example" || key === "examples" || key.startsWith("x-")) continue;
+      stack.push({ node: node[key], path: path.concat(key) });
+    }
+  }
+}
+
+function resolvePointer(root, ref) {
+  if (!ref.startsWith("#")) return undefined;
+  if (ref === "#" || ref === "#/") return root;
+  let current = root;
+  for (const part of ref.slice(2).split("/")) {
+    const key = decodeURIComponent(part).replace(/~1/g, "/").replace(/~0/g, "~");
+    if (!current || typeof current !== "object" || !Object.prototype.hasOwnProperty.call(current, key)) {
+      return undefined;
+    }
+    current = current[key];
+  }
+  return current;
+}
+
+function decodeInstanceLocation(location) {
+  if (!location || location === "#") return "#/";
+  return location
+    .split("/")
+    .map((part) => {
+      try {
+        return decodeURIComponent(part);
+      } catch (error) {
+        return part;
+      }
+    })
+    .join("/");
+}
+
+function lastSegment(pointer) {
+  const parts = pointer.split("/");
+  return parts[parts.length - 1].replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+function formatPointer(path) {
+  if (!path || !path.length) return "#/";
+  return `#/${path.map((part) => String(part).replace(/~/g, "~0").replace(/\//g, "~1")).join("/")}`;
+}
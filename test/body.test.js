@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import worker from "../src/index.js";
+
+const SPEC = JSON.stringify({
+  openapi: "3.1.0",
+  info: { title: "Body", version: "1" },
+  paths: { "/pets": { get: { responses: { 200: { description: "ok" } } } } },
+});
+
+function chunked(text) {
+  const bytes = new TextEncoder().encode(text);
+  return new ReadableStream({
+    start(controller) {
+      for (let offset = 0; offset < bytes.length; offset += 64) {
+        controller.enqueue(bytes.slice(offset, offset + 64));
+      }
+      controller.close();
+    },
+  });
+}
+
+function post(body, headers = {}) {
+  return new Request("https://worker.test/convert", { method: "POST", body, headers, duplex: "half" });
+}
+
+async function send(request, env = {}) {
+  const response = await worker.fetch(request, env);
+  return { status: response.status, body: await response.json() };
+}
+
+test("converts a chunked body within the limit", async () => {
+  const { status, body } = await send(post(chunked(SPEC), { "content-type": "application/json" }));
+  assert.equal(status, 200);
+  assert.equal(body.swagger, "2.0");
+});
+
+test("rejects a chunked body over the limit without a content-length", async () => {
+  const request = post(chunked(SPEC), { "content-type": "application/json" });
+  assert.equal(request.headers.get("content-length"), null);
+  const { status, body } = await send(request, { MAX_SPEC_BYTES: "100" });
+  assert.equal(status, 413);
+  assert.equal(body.error, "spec_too_large");
+});
+
+test("rejects url-encoded form fields over the limit", async () => {
+  const form = new URLSearchParams({ spec: SPEC }).toString();
+  const request = post(chunked(form), { "content-type": "application/x-www-form-urlencoded" });
+  const { status } = await send(request, { MAX_SPEC_BYTES: "100" });
+  assert.equal(status, 413);
+});
+
+test("counts the limit in bytes rather than characters", async () => {
+  const spec = SPEC.replace('"Body"', `"${"é".repeat(60)}"`);
+  const limit = String(spec.length + 10);
+  assert.ok(new TextEncoder().encode(spec).byteLength > Number(limit));
+  const { status } = await send(post(chunked(spec), { "content-type": "application/json" }), {
+    MAX_SPEC_BYTES: limit,
+  });
+  assert.equal(status, 413);
+});
+
+test("answers 400 for a body that does not parse", async () => {
+  const { status, body } = await send(post("{{{: ::", { "content-type": "application/json" }));
+  assert.equal(status, 400);
+  assert.equal(body.error, "parse_failed");
+});
+
+test("rejects a form without a spec or file field", async () => {
+  const form = new FormData();
+  form.set("other", SPEC);
+  const { status, body } = await send(post(form));
+  assert.equal(status, 400);
+  assert.equal(body.error, "invalid_body");
+});
@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import { BundleTooLargeError, convertDocument } from "../src/convert.js";
+
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+function serve(documents) {
+  globalThis.fetch = async (url) => {
+    const body = documents[String(url)];
+    if (body === undefined) return new Response("missing", { status: 404 });
+    return new Response(typeof body === "string" ? body : JSON.stringify(body));
+  };
+}
+
+const ROOT = {
+  openapi: "3.0.3",
+  info: { title: "Bundle", version: "1" },
+  paths: {
+    "/pets": {
+      get: {
+        responses: {
+          200: {
+            description: "ok",
+            content: { "application/json": { schema: { $ref: "https://specs.example.com/pet.json" } } },
+          },
+        },
+      },
+    },
+  },
+};
+
+const PET = { type: "object", properties: { name: { type: "string", description: "x".repeat(200) } } };
+
+const ALIASED_PET = [
+  "type: object",
+  "properties:",
+  `  name: &name { type: string, description: ${"x".repeat(200)} }`,
+  ...Array.from({ length: 20 }, (_, index) => `  alias${index}: *name`),
+].join("\n");
+
+test("bundles remote refs within the limit", async () => {
+  serve({ "https://specs.example.com/root.json": ROOT, "https://specs.example.com/pet.json": PET });
+  const result = await convertDocument("https://specs.example.com/root.json");
+  assert.equal(result.spec.paths["/pets"].get.responses[200].schema.type, "object");
+});
+
+test("rejects a remote bundle that grows past the limit once parsed", async () => {
+  serve({ "https://specs.example.com/root.json": ROOT, "https://specs.example.com/pet.json": ALIASED_PET });
+  await assert.rejects(
+    convertDocument("https://specs.example.com/root.json", { maxBundleBytes: 2500 }),
+    BundleTooLargeError
+  );
+});
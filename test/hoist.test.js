@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { convertDocument } from "../src/convert.js";
+
+const TREE = {
+  openapi: "3.0.3",
+  info: { title: "Hoist", version: "1" },
+  paths: {
+    "/nodes": {
+      get: {
+        operationId: "listNodes",
+        responses: {
+          200: {
+            description: "ok",
+            content: { "application/json": { schema: { $ref: "#/components/schemas/Node" } } },
+          },
+        },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Node: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          children: { type: "array", items: { $ref: "#/components/schemas/Node" } },
+        },
+      },
+    },
+  },
+};
+
+test("names a hoisted recursive schema after its definition", async () => {
+  const result = await convertDocument(structuredClone(TREE), { hoist: true });
+  assert.deepEqual(Object.keys(result.spec.definitions), ["Node"]);
+  assert.deepEqual(result.spec.paths["/nodes"].get.responses[200].schema, { $ref: "#/definitions/Node" });
+});
+
+test("does not duplicate a recursive definition kept with deref=cycles", async () => {
+  const result = await convertDocument(structuredClone(TREE), { hoist: true, deref: "cycles" });
+  assert.deepEqual(Object.keys(result.spec.definitions), ["Node"]);
+  assert.deepEqual(result.spec.definitions.Node.properties.children.items, { $ref: "#/definitions/Node" });
+});
@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { convertDocument } from "../src/convert.js";
+
+const PETS = {
+  openapi: "3.0.3",
+  info: { title: "Lowering", version: "1" },
+  paths: {
+    "/pets": {
+      get: {
+        responses: {
+          200: { description: "ok", content: { "application/json": { schema: { $ref: "#/components/schemas/Pet" } } } },
+        },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Pet: {
+        oneOf: [{ $ref: "#/components/schemas/Cat" }, { $ref: "#/components/schemas/Dog" }],
+        discriminator: { propertyName: "kind" },
+      },
+      Cat: {
+        type: "object",
+        properties: { kind: { type: "string" }, size: { oneOf: [{ enum: ["s", "m"] }, { enum: ["l"] }] } },
+      },
+      Dog: { type: "object", properties: { kind: { type: "string" }, bark: { type: "boolean" } } },
+    },
+  },
+};
+
+function lowering(result) {
+  return result.diagnostics.entries
+    .filter((entry) => entry.code.startsWith("schema-alternatives-"))
+    .map((entry) => [entry.code, entry.severity]);
+}
+
+test("reports every oneOf lowering as a warning", async () => {
+  const result = await convertDocument(structuredClone(PETS));
+  assert.deepEqual(lowering(result).sort(), [
+    ["schema-alternatives-enum", "warning"],
+    ["schema-alternatives-inheritance", "warning"],
+  ]);
+  assert.deepEqual(result.spec.definitions.Cat.properties.size.enum, ["s", "m", "l"]);
+});
+
+test("keeps the discriminator hierarchy as $refs while dereferencing", async () => {
+  const result = await convertDocument(structuredClone(PETS));
+  const schema = result.spec.paths["/pets"].get.responses[200].schema;
+  assert.deepEqual(schema, { $ref: "#/definitions/Pet" });
+  assert.equal(result.spec.definitions.Pet.discriminator, "kind");
+  assert.deepEqual(result.spec.definitions.Cat.allOf[0], { $ref: "#/definitions/Pet" });
+  assert.ok(result.diagnostics.entries.some((entry) => entry.code === "ref-polymorphic-kept"));
+});
@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { assignOperationIds } from "../src/operationIds.js";
+import { createDiagnostics } from "../src/diagnostics.js";
+
+const ok = { responses: { 200: { description: "ok" } } };
+
+function spec(callbacksKey, webhooksKey) {
+  return {
+    paths: {
+      "/pets": {
+        post: { ...ok, [callbacksKey]: { onEvent: { "{$request.body#/url}": { post: { ...ok } } } } },
+      },
+    },
+    [webhooksKey]: { "pet.created": { post: { ...ok, operationId: "postPets" } } },
+  };
+}
+
+for (const [callbacksKey, webhooksKey] of [
+  ["callbacks", "webhooks"],
+  ["x-callbacks", "x-webhooks"],
+]) {
+  test(`assigns ids to ${webhooksKey} and ${callbacksKey} operations`, () => {
+    const diagnostics = createDiagnostics();
+    const result = assignOperationIds(spec(callbacksKey, webhooksKey), { mode: "generate", diagnostics });
+    const operation = result.paths["/pets"].post;
+    assert.equal(operation.operationId, "postPets2");
+    assert.equal(operation[callbacksKey].onEvent["{$request.body#/url}"].post.operationId, "postPetsOnEvent");
+    assert.equal(result[webhooksKey]["pet.created"].post.operationId, "postPets");
+    assert.deepEqual(diagnostics.entries.map((entry) => entry.targetPointer), [
+      "#/paths/~1pets/post/operationId",
+      `#/paths/~1pets/post/${callbacksKey}/onEvent/{$request.body#~1url}/post/operationId`,
+    ]);
+  });
+}
+
+test("generates webhook ids from the webhook name", () => {
+  const result = assignOperationIds({ webhooks: { "pet.created": { post: { ...ok } } } }, { mode: "generate" });
+  assert.equal(result.webhooks["pet.created"].post.operationId, "postPetCreated");
+});
@@ -0,0 +1,35 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { UnknownProfileError, convertDocument } from "../src/convert.js";
+import worker from "../src/index.js";
+
+const SPEC = {
+  openapi: "3.0.3",
+  info: { title: "Profiles", version: "1" },
+  paths: { "/pets": { get: { "x-amazon-apigateway-integration": {}, responses: { 200: { description: "ok" } } } } },
+};
+
+test("applies a profile in strict mode", async () => {
+  const result = await convertDocument(structuredClone(SPEC), { profile: "aws-apigateway" });
+  assert.deepEqual(result.spec.paths["/pets"].get["x-amazon-apigateway-integration"], {});
+});
+
+test("rejects a profile combined with strict=0", async () => {
+  await assert.rejects(
+    convertDocument(structuredClone(SPEC), { strict: false, profile: "aws-apigateway" }),
+    UnknownProfileError
+  );
+  const result = await convertDocument(structuredClone(SPEC), { strict: false, profile: "default" });
+  assert.equal(result.spec.swagger, "2.0");
+});
+
+test("answers 400 invalid_profile for profile with strict=0", async () => {
+  const request = new Request("https://worker.test/convert?profile=aws-apigateway&strict=0", {
+    method: "POST",
+    body: JSON.stringify(SPEC),
+    headers: { "content-type": "application/json" },
+  });
+  const response = await worker.fetch(request, {});
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, "invalid_profile");
+});
@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { convertDocument } from "../src/convert.js";
+
+function document(security, operations) {
+  return {
+    openapi: "3.1.0",
+    info: { title: "Security", version: "1" },
+    security,
+    paths: {
+      "/pets": operations,
+    },
+    components: {
+      securitySchemes: {
+        tls: { type: "mutualTLS" },
+        key: { type: "apiKey", name: "X-Key", in: "header" },
+      },
+    },
+  };
+}
+
+function warnings(result, code) {
+  return result.diagnostics.entries
+    .filter((entry) => entry.code === code && entry.severity === "warning")
+    .map((entry) => entry.sourcePointer);
+}
+
+test("drops a requirement as a whole when one of its schemes is dropped", async () => {
+  const result = await convertDocument(
+    document(undefined, {
+      get: { security: [{ tls: [], key: [] }, { key: [] }], responses: { 200: { description: "ok" } } },
+    })
+  );
+  assert.deepEqual(result.spec.paths["/pets"].get.security, [{ key: [] }]);
+  assert.deepEqual(warnings(result, "security-requirement-removed"), ["#/paths/~1pets/get/security"]);
+});
+
+test("marks an operation public and warns when all of its requirements are dropped", async () => {
+  const result = await convertDocument(
+    document([{ key: [] }], {
+      get: { security: [{ tls: [], key: [] }], responses: { 200: { description: "ok" } } },
+    })
+  );
+  assert.deepEqual(result.spec.security, [{ key: [] }]);
+  assert.deepEqual(result.spec.paths["/pets"].get.security, []);
+  const entry = result.diagnostics.entries.find((item) => item.code === "security-requirement-removed");
+  assert.match(entry.message, /no longer requires authentication/);
+});
+
+test("warns for every operation that inherited a dropped global requirement", async () => {
+  const result = await convertDocument(
+    document([{ tls: [] }], {
+      get: { responses: { 200: { description: "ok" } } },
+      post: { security: [{ key: [] }], responses: { 200: { description: "ok" } } },
+    })
+  );
+  assert.equal(result.spec.security, undefined);
+  assert.deepEqual(result.spec.paths["/pets"].post.security, [{ key: [] }]);
+  assert.deepEqual(warnings(result, "security-requirement-removed"), ["#/security", "#/paths/~1pets/get/security"]);
+});
+
+test("keeps requirements that only use converted schemes", async () => {
+  const result = await convertDocument(
+    document([{ key: [] }], {
+      get: { responses: { 200: { description: "ok" } } },
+    })
+  );
+  assert.deepEqual(result.spec.security, [{ key: [] }]);
+  assert.deepEqual(warnings(result, "security-requirement-removed"), []);
+});
+
+test("rewrites callback and webhook security when downgrading to 3.0", async () => {
+  const guarded = (description) => ({
+    post: { security: [{ tls: [] }, { key: [] }], responses: { 200: { description } } },
+  });
+  const spec = document(undefined, {
+    post: {
+      callbacks: { onEvent: { "{$request.body#/url}": guarded("callback") } },
+      responses: { 200: { description: "ok" } },
+    },
+  });
+  spec.webhooks = { created: guarded("webhook") };
+  const result = await convertDocument(spec, { target: "3.0", validate: true });
+  assert.equal(result.spec.openapi, "3.0.3");
+  assert.deepEqual(result.validation, { valid: true, errors: [] });
+  const callback = result.spec.paths["/pets"].post.callbacks.onEvent["{$request.body#/url}"];
+  assert.deepEqual(callback.post.security, [{ key: [] }]);
+  assert.deepEqual(result.spec["x-webhooks"].created.post.security, [{ key: [] }]);
+  assert.deepEqual(warnings(result, "security-requirement-removed").sort(), [
+    "#/paths/~1pets/post/callbacks/onEvent/{$request.body#~1url}/post/security",
+    "#/x-webhooks/created/post/security",
+  ]);
+});
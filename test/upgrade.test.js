@@ -0,0 +1,25 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { convertDocument } from "../src/convert.js";
+
+test("moves x-nullable from a parameter onto its 3.x schema", async () => {
+  const result = await convertDocument(
+    {
+      swagger: "2.0",
+      info: { title: "Upgrade", version: "1" },
+      paths: {
+        "/pets": {
+          get: {
+            parameters: [{ name: "tag", in: "query", type: "string", "x-nullable": true }],
+            responses: { 200: { description: "ok" } },
+          },
+        },
+      },
+    },
+    { target: "3.0", validate: true }
+  );
+  const parameter = result.spec.paths["/pets"].get.parameters[0];
+  assert.equal(parameter["x-nullable"], undefined);
+  assert.deepEqual(parameter.schema, { type: "string", nullable: true });
+  assert.equal(result.validation.valid, true);
+});